@@ -1,8 +1,10 @@
 // coffytokenvemodülabi.js
 // Generated from src/app/config
+// Addresses come from the network registry (config/networks.js); these are the Base ones
+import { NETWORKS } from './config/networks.js';
 
 // CoffyCore contract (Base Network)
-export const coffytokenAddress = "0x29248bA2420757bF50595Af6d8903E5d8Dcb9b41";
+export const coffytokenAddress = NETWORKS.base.contracts.CoffyCoin;
 export const coffytokenAbi = [
     {
         "inputs": [
@@ -2873,7 +2875,7 @@ export const coffytokenAbi = [
 ];
 
 // GameModule contract (Base Network)
-export const moduleAddress = "0xEb00A304DD1aB9A5bC995d4eD9cAFc190bC593Ea";
+export const moduleAddress = NETWORKS.base.contracts.CoffyAuxiliary;
 export const moduleAbi = [
     {
         "inputs": [
@@ -0,0 +1,20 @@
+// Battle surface of the escrow module (CoffyAuxiliaryV5). Battles live on the
+// same contract as games, so use this ABI with the module address.
+export const BATTLE_ABI = [
+    'function createBattle(uint128 _stakeAmount)',
+    'function joinBattle(uint256 _battleId)',
+    'function cancelBattle(uint256 _battleId)',
+    'function cancelExpiredBattle(uint256 _battleId)',
+    'function cancelAbandonedBattle(uint256 _battleId)',
+    'function claimBattleWin(uint256 _battleId, bytes _signature)',
+    'function claimBattleDraw(uint256 _battleId, bytes _signature)',
+    'function battles(uint256) view returns (address initiator, address opponent, uint128 stakeAmount, uint64 createdAt, uint64 expiresAt, uint8 status, address winner)',
+    'function hasClaimedBattle(uint256, address) view returns (bool)',
+    'function battleExpiration() view returns (uint32)',
+    'function gameAbandonTimeout() view returns (uint32)',
+    'event BattleCreated(uint256 indexed battleId, address indexed initiator, uint256 stakeAmount)',
+    'event BattleJoined(uint256 indexed battleId, address indexed opponent)',
+    'event BattleCompleted(uint256 indexed battleId, address indexed winner, uint256 prize)',
+    'event BattleCancelled(uint256 indexed battleId)',
+    'event BattleDraw(uint256 indexed battleId, address indexed player, uint256 refundAmount)'
+];
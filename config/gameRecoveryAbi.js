@@ -0,0 +1,7 @@
+// Refund paths for games of the escrow module (CoffyAuxiliaryV5) that the
+// deployed module ABI doesn't declare. Use with the module address.
+export const GAME_RECOVERY_ABI = [
+    'function cancelGame(uint256 _gameId)',
+    'function cancelAbandonedGame(uint256 _gameId)',
+    'function gameAbandonTimeout() view returns (uint32)'
+];
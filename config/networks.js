@@ -0,0 +1,95 @@
+// Network registry shared by server.js and index.html. One profile per chain
+// the game can run on; the server picks one with NETWORK (default 'base') and
+// tells the browser which through GET /chain.
+//   contracts.CoffyCoin        COFFY token stakes are paid in
+//   contracts.CoffyAuxiliary   escrow module (games, battles, quick match, rewards)
+//   contractVersion            signature scheme of that module (lib/signing.js)
+//   tokenPermit                token implements ERC-2612 permit; otherwise clients approve
+// Addresses left null are filled in at boot: the local profile from
+// deployments/local.json (scripts/deployDevnet.js), any profile from
+// TOKEN_ADDRESS / MODULE_ADDRESS.
+const ETHER = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+export const NETWORKS = {
+    base: {
+        key: 'base',
+        name: 'Base',
+        chainId: 8453,
+        rpcUrls: [
+            'https://mainnet.base.org',
+            'https://base.meowrpc.com',
+            'https://base.publicnode.com'
+        ],
+        explorerUrl: 'https://basescan.org',
+        nativeCurrency: ETHER,
+        contracts: {
+            CoffyCoin: '0x29248bA2420757bF50595Af6d8903E5d8Dcb9b41',
+            CoffyAuxiliary: '0xEb00A304DD1aB9A5bC995d4eD9cAFc190bC593Ea'
+        },
+        contractVersion: 'v5',
+        tokenPermit: true
+    },
+    'base-sepolia': {
+        key: 'base-sepolia',
+        name: 'Base Sepolia',
+        chainId: 84532,
+        rpcUrls: [
+            'https://sepolia.base.org',
+            'https://base-sepolia-rpc.publicnode.com'
+        ],
+        explorerUrl: 'https://sepolia.basescan.org',
+        nativeCurrency: ETHER,
+        contracts: {
+            CoffyCoin: null,
+            CoffyAuxiliary: null
+        },
+        contractVersion: 'v5',
+        tokenPermit: false
+    },
+    local: {
+        key: 'local',
+        name: 'Coffee Chess Devnet',
+        chainId: 31337,
+        rpcUrls: ['http://127.0.0.1:8545'],
+        explorerUrl: null,
+        nativeCurrency: ETHER,
+        contracts: {
+            CoffyCoin: null,
+            CoffyAuxiliary: null
+        },
+        contractVersion: 'v5',
+        tokenPermit: false // contracts/CoffyCoinV6.sol
+    }
+};
+
+export const DEFAULT_NETWORK = 'base';
+
+export function getNetwork(key = DEFAULT_NETWORK) {
+    const network = NETWORKS[key];
+    if (!network) throw new Error(`Unknown network "${key}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`);
+    return network;
+}
+
+// A profile with boot-time overrides applied; the registry itself is never mutated
+export function resolveNetwork(key, { rpcUrls, contracts = {}, contractVersion } = {}) {
+    const network = getNetwork(key);
+    return {
+        ...network,
+        rpcUrls: rpcUrls && rpcUrls.length ? rpcUrls : network.rpcUrls,
+        contracts: Object.fromEntries(Object.entries(network.contracts)
+            .map(([name, address]) => [name, contracts[name] || address])),
+        contractVersion: contractVersion || network.contractVersion
+    };
+}
+
+// wallet_addEthereumChain / wallet_switchEthereumChain parameters
+export function walletChainParams(network) {
+    const params = {
+        chainId: '0x' + network.chainId.toString(16),
+        chainName: network.name,
+        nativeCurrency: network.nativeCurrency,
+        rpcUrls: network.rpcUrls.slice(0, 1)
+    };
+    if (network.explorerUrl) params.blockExplorerUrls = [network.explorerUrl + '/'];
+    return params;
+}
@@ -0,0 +1,7 @@
+// Quick-match queue window of the escrow module (CoffyAuxiliaryV5). The full
+// moduleAbi doesn't include it; the owner can change it with setQueueExpiration,
+// so the matchmaker reads it at boot and re-reads it on a schedule.
+export const QUEUE_EXPIRATION_ABI = [
+    'function queueExpiration() view returns (uint32)',
+    'function setQueueExpiration(uint32 _expiration)'
+];
@@ -0,0 +1,12 @@
+// Earn-to-play surface of the escrow module (CoffyAuxiliaryV5). Session
+// rewards are paid from the module's reward pool, so use this ABI with the
+// module address.
+export const SESSION_REWARD_ABI = [
+    'function claimSessionReward(bytes32 _sessionId, uint256 _amount, bytes _signature)',
+    'function usedSessionClaims(bytes32) view returns (bool)',
+    'function rewardPoolBalance() view returns (uint256)',
+    'function maxRewardPerSession() view returns (uint256)',
+    'function maxDailyRewardPerUser() view returns (uint256)',
+    'function dailyRewardsClaimed(address, uint256) view returns (uint256)',
+    'event SessionRewardClaimed(address indexed player, bytes32 indexed sessionId, uint256 amount)'
+];
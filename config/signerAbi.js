@@ -0,0 +1,6 @@
+// Trusted signer of the escrow module (CoffyAuxiliaryV5). The full moduleAbi
+// doesn't include it; the server reads it at boot and for key rotation.
+export const TRUSTED_SIGNER_ABI = [
+    'function trustedSigner() view returns (address)',
+    'function setTrustedSigner(address _newSigner)'
+];
@@ -0,0 +1,22 @@
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_GET_REMAPPINGS } = require("hardhat/builtin-tasks/task-names");
+
+// The contracts are written against OpenZeppelin 5 but still import
+// Pausable/ReentrancyGuard from security/, where 4.x kept them
+subtask(TASK_COMPILE_GET_REMAPPINGS).setAction(async (args, hre, runSuper) => ({
+    ...(await runSuper()),
+    "@openzeppelin/contracts/security/": "@openzeppelin/contracts/utils/"
+}));
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+    solidity: {
+        version: "0.8.20",
+        settings: {
+            optimizer: {
+                enabled: true,
+                runs: 200
+            }
+        }
+    },
+};
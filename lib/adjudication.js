@@ -0,0 +1,56 @@
+// Coffee Chess - Result adjudication
+// Results that aren't decided on the board. A side whose flag falls only loses
+// if the opponent could still checkmate by some series of legal moves (FIDE
+// Laws 6.9); otherwise the game is drawn. The material test below is the
+// usual conservative one: it only calls a mate impossible when no position
+// reachable with these pieces has one. Variants (lib/variants.js) that are won
+// without mating are judged by their own goal.
+
+// Non-king pieces of one colour with the colour of the square each stands on
+function piecesOf(chess, color) {
+    const pieces = [];
+    chess.board().forEach((row, rank) => row.forEach((piece, file) => {
+        if (piece && piece.color === color && piece.type !== 'k') {
+            pieces.push({ type: piece.type, light: (rank + file) % 2 === 0 });
+        }
+    }));
+    return pieces;
+}
+
+/**
+ * Whether `color` ('w' | 'b') has mating material against what the opponent has left.
+ * @param {Chess} chess
+ * @param {'w'|'b'} color
+ */
+export function canCheckmate(chess, color) {
+    const own = piecesOf(chess, color);
+    const other = piecesOf(chess, color === 'w' ? 'b' : 'w');
+
+    if (own.length === 0) return false;
+    // A lone knight needs an enemy piece to hem the king in
+    if (own.length === 1 && own[0].type === 'n') return other.length > 0;
+    // Bishops that all run on one square colour can't mate unless an enemy piece
+    // other than a bishop on that same colour can block
+    if (own.every(p => p.type === 'b' && p.light === own[0].light)) {
+        return other.some(p => p.type !== 'b' || p.light !== own[0].light);
+    }
+    return true;
+}
+
+// A bare king can still walk to the hill; checks need a piece to give them
+function canWin(chess, color) {
+    if (chess.variant === 'kingOfTheHill') return true;
+    if (chess.variant === 'threeCheck') return piecesOf(chess, color).length > 0;
+    return canCheckmate(chess, color);
+}
+
+/**
+ * Result when `flagged` runs out of time: the opponent wins on time, or it's a
+ * draw when the opponent has no way left to win.
+ * @returns {{winner: 'white'|'black'|'draw', reason: string}}
+ */
+export function timeoutResult(chess, flagged) {
+    const opponent = flagged === 'w' ? 'b' : 'w';
+    if (!canWin(chess, opponent)) return { winner: 'draw', reason: 'timeout vs insufficient material' };
+    return { winner: opponent === 'w' ? 'white' : 'black', reason: 'timeout' };
+}
@@ -0,0 +1,173 @@
+// Coffee Chess - Server-side AI opponent
+// Same three levels as the browser opponent (index.html makeAIMove), run on the
+// server's chess.js instance so practice games can't be won by a modified client.
+// The AI always plays black.
+//
+// The search is synchronous, so the server never runs it on its own event loop:
+// AiWorker hands positions to a worker thread (lib/aiWorker.js), and every
+// search stops at a node and time budget, keeping the best move found so far.
+import { Worker } from 'worker_threads';
+
+export const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const DEFAULT_BUDGET = { maxNodes: 4000, timeMs: 300 };
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// Material from black's point of view
+function evaluateBoard(chess) {
+    if (chess.in_checkmate()) return chess.turn() === 'b' ? -1000 : 1000;
+    if (chess.in_draw()) return 0;
+
+    let score = 0;
+    for (const row of chess.board()) {
+        for (const piece of row) {
+            if (!piece) continue;
+            score += piece.color === 'b' ? PIECE_VALUES[piece.type] : -PIECE_VALUES[piece.type];
+        }
+    }
+    return score;
+}
+
+function outOfBudget(search) {
+    return search.nodes >= search.maxNodes || Date.now() >= search.deadline;
+}
+
+function minimax(chess, depth, alpha, beta, isMaximizing, search) {
+    search.nodes++;
+    if (depth === 0 || outOfBudget(search) || chess.game_over()) return evaluateBoard(chess);
+
+    const moves = chess.moves({ verbose: true });
+    let best = isMaximizing ? -Infinity : Infinity;
+    for (const move of moves) {
+        chess.move(move);
+        const evaluation = minimax(chess, depth - 1, alpha, beta, !isMaximizing, search);
+        chess.undo();
+        if (isMaximizing) {
+            best = Math.max(best, evaluation);
+            alpha = Math.max(alpha, evaluation);
+        } else {
+            best = Math.min(best, evaluation);
+            beta = Math.min(beta, evaluation);
+        }
+        if (beta <= alpha) break;
+    }
+    return best;
+}
+
+function bestMove(chess, depth, search) {
+    const moves = chess.moves({ verbose: true });
+    let chosen = moves[0];
+    let bestValue = -Infinity;
+    for (const move of moves) {
+        if (outOfBudget(search)) break;
+        chess.move(move);
+        const value = minimax(chess, depth - 1, -Infinity, Infinity, false, search);
+        chess.undo();
+        if (value > bestValue) {
+            bestValue = value;
+            chosen = move;
+        }
+    }
+    return chosen;
+}
+
+/**
+ * Returns a verbose move for the side to move, or null when there is none.
+ * @param {Chess} chess
+ * @param {string} difficulty  one of AI_DIFFICULTIES
+ * @param {object} [budget]
+ * @param {number} [budget.maxNodes]  positions the search may visit
+ * @param {number} [budget.timeMs]  wall-clock limit for the search
+ */
+export function chooseAiMove(chess, difficulty, { maxNodes = DEFAULT_BUDGET.maxNodes, timeMs = DEFAULT_BUDGET.timeMs } = {}) {
+    const moves = chess.moves({ verbose: true });
+    if (moves.length === 0) return null;
+
+    if (difficulty === 'hard') return bestMove(chess, 2, { nodes: 0, maxNodes, deadline: Date.now() + timeMs });
+
+    if (difficulty === 'medium') {
+        // Prefer captures, then checks
+        const captures = moves.filter(m => m.captured);
+        const checks = moves.filter(m => {
+            chess.move(m);
+            const inCheck = chess.in_check();
+            chess.undo();
+            return inCheck;
+        });
+        if (captures.length > 0 && Math.random() > 0.3) return pick(captures);
+        if (checks.length > 0 && Math.random() > 0.5) return pick(checks);
+    }
+
+    return pick(moves);
+}
+
+// Runs chooseAiMove in a worker thread, one position at a time. A worker that
+// dies or overruns its budget by far is replaced on the next request.
+export class AiWorker {
+    /**
+     * @param {object} [opts]
+     * @param {number} [opts.maxNodes]  search budget per move
+     * @param {number} [opts.timeMs]  search time per move
+     * @param {number} [opts.maxQueue]  positions waiting before requests are refused
+     */
+    constructor({ maxNodes = DEFAULT_BUDGET.maxNodes, timeMs = DEFAULT_BUDGET.timeMs, maxQueue = 100 } = {}) {
+        this.budget = { maxNodes, timeMs };
+        this.maxQueue = maxQueue;
+        this.worker = null;
+        this.pending = new Map(); // job id -> { resolve, reject, timer }
+        this.nextId = 1;
+    }
+
+    spawn() {
+        const worker = new Worker(new URL('./aiWorker.js', import.meta.url));
+        worker.unref();
+        worker.on('message', ({ id, move, error }) => {
+            const job = this.pending.get(id);
+            if (!job) return;
+            this.pending.delete(id);
+            clearTimeout(job.timer);
+            if (error) job.reject(new Error(error));
+            else job.resolve(move);
+        });
+        const fail = (error) => {
+            if (this.worker !== worker) return;
+            this.worker = null;
+            for (const job of this.pending.values()) {
+                clearTimeout(job.timer);
+                job.reject(error);
+            }
+            this.pending.clear();
+        };
+        worker.on('error', fail);
+        worker.on('exit', code => fail(new Error(`AI worker exited with code ${code}`)));
+        this.worker = worker;
+    }
+
+    /**
+     * Move for the side to move in `fen`, as { from, to, promotion } or null.
+     * @returns {Promise<{from: string, to: string, promotion: string|null}|null>}
+     */
+    choose(fen, difficulty) {
+        if (this.pending.size >= this.maxQueue) return Promise.reject(new Error('The AI is busy, try again in a moment'));
+        if (!this.worker) this.spawn();
+
+        const id = this.nextId++;
+        const worker = this.worker;
+        return new Promise((resolve, reject) => {
+            // Jobs run one after another, so the whole queue ahead counts towards the deadline
+            const timer = setTimeout(() => worker.terminate(), (this.pending.size + 1) * this.budget.timeMs + 5000);
+            this.pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ id, fen, difficulty, budget: this.budget });
+        });
+    }
+
+    async stop() {
+        const worker = this.worker;
+        if (worker) await worker.terminate();
+    }
+}
@@ -0,0 +1,16 @@
+// Coffee Chess - AI worker thread
+// Entry point for lib/ai.js AiWorker: searches one position per message so the
+// server's event loop never waits on the AI.
+import { parentPort } from 'worker_threads';
+import { Chess } from 'chess.js';
+import { chooseAiMove } from './ai.js';
+
+parentPort.on('message', ({ id, fen, difficulty, budget }) => {
+    try {
+        const chess = new Chess(fen);
+        const move = chooseAiMove(chess, difficulty, budget);
+        parentPort.postMessage({ id, move: move && { from: move.from, to: move.to, promotion: move.promotion || null } });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
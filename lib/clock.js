@@ -0,0 +1,170 @@
+// Coffee Chess - Game clock
+// Server-authoritative chess clock. Nothing ticks: the clock keeps each side's
+// remaining milliseconds as of the last move and when the side to move started
+// thinking; everything else is derived from timestamps. The room only needs a
+// single timeout for the moment the side to move would flag. The clock runs
+// from the moment the game starts, so every move is charged, the first one too.
+//   fischer    the increment is added after every move
+//   bronstein  up to `increment` seconds of the time a move took is given back (delay)
+// Time controls are written "3+2" (Fischer) or "5d3" (Bronstein); every ply's
+// thinking time is kept in moveTimes.
+export const TIME_CONTROL_MODES = ['fischer', 'bronstein'];
+
+const MAX_MINUTES = 180;
+const MAX_INCREMENT = 60; // seconds
+
+export class TimeControlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeControlError';
+    }
+}
+
+/**
+ * Normalize a time control. Accepts "3+2", "5d3", { minutes, increment, mode }
+ * or a bare number of minutes (rooms created before increments existed).
+ * Returns { minutes, increment, mode, key }.
+ */
+export function parseTimeControl(value) {
+    let minutes;
+    let increment = 0;
+    let mode = 'fischer';
+
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim()))) {
+        minutes = Number(value);
+    } else if (typeof value === 'string') {
+        const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([+d])\s*(\d+)$/);
+        if (!match) throw new TimeControlError(`Invalid time control "${value}" (expected e.g. "3+2" or "5d3")`);
+        minutes = Number(match[1]);
+        increment = Number(match[3]);
+        mode = match[2] === 'd' ? 'bronstein' : 'fischer';
+    } else if (value && typeof value === 'object') {
+        minutes = Number(value.minutes);
+        increment = Number(value.increment || 0);
+        mode = value.mode || 'fischer';
+    } else {
+        throw new TimeControlError('Missing time control');
+    }
+
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) throw new TimeControlError(`Base time must be above 0 and at most ${MAX_MINUTES} minutes`);
+    if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT) throw new TimeControlError(`Increment must be 0-${MAX_INCREMENT} seconds`);
+    if (!TIME_CONTROL_MODES.includes(mode)) throw new TimeControlError(`Unknown clock mode "${mode}"`);
+    if (increment === 0) mode = 'fischer';
+
+    return { minutes, increment, mode, key: `${minutes}${mode === 'bronstein' ? 'd' : '+'}${increment}` };
+}
+
+export class GameClock {
+    /**
+     * @param {string|number|object} timeControl  anything parseTimeControl accepts
+     * @param {object} [state]  restored state (see snapshot())
+     * @param {number} [state.white]  remaining ms
+     * @param {number} [state.black]  remaining ms
+     * @param {'w'|'b'} [state.turn]  side to move
+     * @param {number[]} [state.moveTimes]  ms spent on every ply so far
+     */
+    constructor(timeControl, { white, black, turn = 'w', moveTimes = [] } = {}) {
+        this.timeControl = parseTimeControl(timeControl);
+        const initial = Math.round(this.timeControl.minutes * 60000);
+        this.white = white ?? initial;
+        this.black = black ?? initial;
+        this.turn = turn;
+        this.moveTimes = moveTimes.slice();
+        this.runningSince = null; // when the side to move started thinking; null while stopped
+    }
+
+    static restore(snap) {
+        return new GameClock(snap.timeControl, snap);
+    }
+
+    get running() {
+        return this.runningSince !== null;
+    }
+
+    get incrementMs() {
+        return this.timeControl.increment * 1000;
+    }
+
+    remaining(color, now = Date.now()) {
+        const left = color === 'w' ? this.white : this.black;
+        return color === this.turn && this.running ? left - (now - this.runningSince) : left;
+    }
+
+    // Side that has run out of time, or null
+    flagged(now = Date.now()) {
+        return this.running && this.remaining(this.turn, now) <= 0 ? this.turn : null;
+    }
+
+    msUntilFlag(now = Date.now()) {
+        return this.running ? Math.max(0, this.remaining(this.turn, now)) : null;
+    }
+
+    start(now = Date.now()) {
+        if (!this.running) this.runningSince = now;
+    }
+
+    // Charge the side to move up to `now` and freeze both clocks
+    stop(now = Date.now()) {
+        if (!this.running) return;
+        const side = this.turn === 'w' ? 'white' : 'black';
+        this[side] = Math.max(0, this.remaining(this.turn, now));
+        this.runningSince = null;
+    }
+
+    /**
+     * The side to move completed a move at `now`: charge its thinking time, add
+     * the increment or give back the delay, and start the opponent's clock.
+     * Only a stopped clock (restored, players not back yet) charges nothing.
+     * Returns the ms spent on this ply. Callers check flagged() first.
+     */
+    move(now = Date.now()) {
+        const side = this.turn === 'w' ? 'white' : 'black';
+        let spent = 0;
+        if (this.running) {
+            spent = Math.max(0, now - this.runningSince);
+            const bonus = this.timeControl.mode === 'bronstein' ? Math.min(spent, this.incrementMs) : this.incrementMs;
+            this[side] = Math.max(0, this[side] - spent) + bonus;
+        }
+        this.moveTimes.push(spent);
+        this.turn = this.turn === 'w' ? 'b' : 'w';
+        this.runningSince = now;
+        return spent;
+    }
+
+    /**
+     * Undo the last `plies` moves at `now` (a takeback). The side to move is
+     * charged up to now and nobody gets time back; the clock then runs for the
+     * side whose move was taken back.
+     */
+    takeback(plies, now = Date.now()) {
+        this.stop(now);
+        this.moveTimes.splice(-plies, plies);
+        if (plies % 2 === 1) this.turn = this.turn === 'w' ? 'b' : 'w';
+        this.runningSince = now;
+    }
+
+    // What clients render; they count the running side down from the moment they receive it
+    view(now = Date.now()) {
+        return {
+            white: Math.max(0, this.remaining('w', now)),
+            black: Math.max(0, this.remaining('b', now)),
+            turn: this.turn,
+            running: this.running,
+            timeControl: this.timeControl.key,
+            increment: this.timeControl.increment,
+            mode: this.timeControl.mode,
+            ply: this.moveTimes.length
+        };
+    }
+
+    // Persisted with the room; a restored clock stays stopped until start()
+    snapshot() {
+        return {
+            timeControl: this.timeControl.key,
+            white: this.white,
+            black: this.black,
+            turn: this.turn,
+            moveTimes: this.moveTimes
+        };
+    }
+}
@@ -0,0 +1,63 @@
+// Coffee Chess - Deployment manifests
+// scripts/deployDevnet.js writes what it deployed to deployments/<network>.json;
+// the server reads it back at boot (NETWORK=local) to fill in the registry
+// profile (config/networks.js) and hands the addresses to the browser through
+// GET /chain, so nothing is copied by hand.
+//   { network, chainId, rpcUrl, startBlock, deployer, trustedSigner,
+//     contracts: { CoffyCoin, CoffyAuxiliary }, testWallets: [...] }
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { TRUSTED_SIGNER_ABI } from '../config/signerAbi.js';
+
+export const DEPLOYMENTS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'deployments');
+
+// Well-known result signer for local chains (mock chain and the local devnet); anything
+// real sets SIGNER_PRIVATE_KEY and never trusts this address.
+export const DEV_SIGNER_KEY = ethers.utils.id('coffee-chess mock chain signer');
+
+export function deploymentPath(network) {
+    return join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+export function loadDeployment(network) {
+    const file = deploymentPath(network);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No ${network} deployment at ${file} - start \`npm run devnet:node\` and run \`npm run devnet:deploy\` first`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const name of ['CoffyCoin', 'CoffyAuxiliary']) {
+        if (!ethers.utils.isAddress(manifest.contracts?.[name] || '')) {
+            throw new Error(`${file} has no valid ${name} address`);
+        }
+    }
+    return manifest;
+}
+
+export function writeDeployment(network, manifest) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(deploymentPath(network), JSON.stringify(manifest, null, 2) + '\n');
+    return deploymentPath(network);
+}
+
+// Boot check that a network profile matches the chain behind the provider:
+// the chain id, code at every contract address and the module's trustedSigner
+// (null, with signerError, when it can't be read).
+export async function verifyDeployment(provider, network) {
+    const chainId = Number(await provider.send('eth_chainId', [])); // not getNetwork(), which may be static
+    const contracts = [];
+    for (const [name, address] of Object.entries(network.contracts)) {
+        contracts.push({ name, address, hasCode: (await provider.getCode(address)) !== '0x' });
+    }
+
+    let onChainSigner = null;
+    let signerError = null;
+    try {
+        const module = new ethers.Contract(network.contracts.CoffyAuxiliary, TRUSTED_SIGNER_ABI, provider);
+        onChainSigner = await module.trustedSigner();
+    } catch (error) {
+        signerError = error.reason || error.message;
+    }
+    return { chainId, chainOk: chainId === network.chainId, contracts, onChainSigner, signerError };
+}
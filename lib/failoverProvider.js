@@ -0,0 +1,212 @@
+// Coffee Chess - RPC failover
+// One ethers provider over every RPC endpoint of the network profile. Each call
+// goes to the healthiest endpoint that can serve it:
+//   - a scheduled check polls eth_blockNumber everywhere, recording latency and
+//     head; endpoints more than maxLagBlocks behind the best head are skipped
+//   - calls pinned to a block (eth_getLogs up to toBlock, eth_call at a height)
+//     only go to endpoints that have reached it, so stakes are never verified
+//     against a node that hasn't seen them yet
+//   - failureThreshold transport errors in a row open an endpoint's circuit for
+//     cooldownMs; after that one trial (half-open) closes or reopens it
+// JSON-RPC errors such as reverts are the node answering and pass straight through.
+import { ethers } from 'ethers';
+
+const THROTTLED_RPC_CODES = new Set([429, -32005]); // rate limited / limit exceeded
+const BLOCK_TAG_LAST = new Set(['eth_call', 'eth_getBalance', 'eth_getCode', 'eth_getStorageAt', 'eth_getTransactionCount']);
+
+// ethers wraps a JSON-RPC error from the node (numeric code, e.g. a revert) in
+// SERVER_ERROR with the original as `error`; anything else with a string code is
+// a timeout, HTTP failure or unreadable response
+function isTransportError(error) {
+    const rpcCode = error?.error?.code;
+    if (typeof rpcCode === 'number') return THROTTLED_RPC_CODES.has(rpcCode);
+    return typeof error?.code === 'string' || THROTTLED_RPC_CODES.has(error?.code);
+}
+
+function errorMessage(error) {
+    return error?.reason || error?.error?.message || error?.message || String(error);
+}
+
+// Lowest block an endpoint must have to answer this call correctly, or null
+function requiredBlock(method, params = []) {
+    let tag = null;
+    if (method === 'eth_getLogs') tag = params[0]?.toBlock;
+    else if (method === 'eth_getBlockByNumber') tag = params[0];
+    else if (BLOCK_TAG_LAST.has(method)) tag = params[params.length - 1];
+    return typeof tag === 'string' && /^0x[0-9a-f]+$/i.test(tag) ? parseInt(tag, 16) : null;
+}
+
+// Endpoint URLs may carry API keys; health output only shows the host
+function redact(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid url';
+    }
+}
+
+export class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {object} opts
+     * @param {string[]} opts.urls  endpoints in order of preference
+     * @param {{chainId: number, name: string}} opts.network  endpoints on another chain are never used
+     * @param {number} [opts.healthIntervalMs]
+     * @param {number} [opts.maxLagBlocks]  allowed distance behind the best head
+     * @param {number} [opts.failureThreshold]  consecutive transport errors that open a circuit
+     * @param {number} [opts.cooldownMs]  how long an open circuit stays open
+     * @param {number} [opts.timeoutMs]  per request
+     */
+    constructor({ urls, network, healthIntervalMs = 15000, maxLagBlocks = 3, failureThreshold = 3, cooldownMs = 30000, timeoutMs = 8000 }) {
+        super(urls[0], network);
+        this.chainId = network.chainId;
+        this.healthIntervalMs = healthIntervalMs;
+        this.maxLagBlocks = maxLagBlocks;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+
+        this.endpoints = urls.map((url, index) => ({
+            url,
+            index,
+            rpc: new ethers.providers.StaticJsonRpcProvider({ url, timeout: timeoutMs }, network),
+            chainOk: null,
+            circuit: 'closed', // closed | open | half-open
+            failures: 0,
+            openedAt: null,
+            head: null,
+            latencyMs: null,
+            checkedAt: null,
+            lastError: null,
+            requests: 0,
+            errors: 0
+        }));
+        this.timer = null;
+    }
+
+    // First health check; resolves to the number of usable endpoints
+    async start() {
+        await this.checkHealth();
+        this.timer = setInterval(() => this.checkHealth(), this.healthIntervalMs);
+        return this.endpoints.filter(endpoint => this.usable(endpoint)).length;
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    get bestHead() {
+        const heads = this.endpoints.filter(endpoint => this.usable(endpoint) && endpoint.head !== null).map(endpoint => endpoint.head);
+        return heads.length ? Math.max(...heads) : null;
+    }
+
+    usable(endpoint) {
+        if (endpoint.chainOk === false) return false;
+        if (endpoint.circuit === 'open' && Date.now() - endpoint.openedAt >= this.cooldownMs) endpoint.circuit = 'half-open';
+        return endpoint.circuit !== 'open';
+    }
+
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            if (!this.usable(endpoint)) return;
+            const started = Date.now();
+            try {
+                if (endpoint.chainOk === null) {
+                    const chainId = Number(await endpoint.rpc.send('eth_chainId', []));
+                    endpoint.chainOk = chainId === this.chainId;
+                    if (!endpoint.chainOk) {
+                        console.error(`❌ RPC ${redact(endpoint.url)} is on chain ${chainId}, expected ${this.chainId} - not using it`);
+                        return;
+                    }
+                }
+                endpoint.head = Number(await endpoint.rpc.send('eth_blockNumber', []));
+                endpoint.latencyMs = Date.now() - started;
+                this.succeeded(endpoint);
+            } catch (error) {
+                this.failed(endpoint, error);
+            } finally {
+                endpoint.checkedAt = Date.now();
+            }
+        }));
+    }
+
+    // Usable endpoints that can serve a call, best first
+    candidates(minBlock) {
+        const usable = this.endpoints.filter(endpoint => this.usable(endpoint));
+        const best = this.bestHead;
+        const rank = (a, b) => (a.circuit === 'half-open') - (b.circuit === 'half-open')
+            || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity)
+            || a.index - b.index;
+
+        const synced = usable.filter(endpoint => endpoint.head !== null
+            && best - endpoint.head <= this.maxLagBlocks
+            && (minBlock === null || endpoint.head >= minBlock));
+        if (synced.length) return synced.sort(rank);
+        if (minBlock !== null) return [];
+        // No head reported yet: best known head first
+        return usable.sort((a, b) => (b.head ?? -1) - (a.head ?? -1) || rank(a, b));
+    }
+
+    async send(method, params) {
+        const minBlock = requiredBlock(method, params);
+        let endpoints = this.candidates(minBlock);
+        if (!endpoints.length && minBlock !== null) {
+            // Heads are only as fresh as the last check; nodes may have moved on since
+            await this.checkHealth();
+            endpoints = this.candidates(minBlock);
+            if (!endpoints.length) throw new Error(`No healthy RPC endpoint has reached block ${minBlock}`);
+        }
+        if (!endpoints.length) throw new Error('No healthy RPC endpoint (all circuits open)');
+
+        let lastError = null;
+        for (const endpoint of endpoints) {
+            endpoint.requests++;
+            try {
+                const result = await endpoint.rpc.send(method, params);
+                if (method === 'eth_blockNumber') endpoint.head = Math.max(endpoint.head ?? 0, Number(result));
+                this.succeeded(endpoint);
+                return result;
+            } catch (error) {
+                if (!isTransportError(error)) throw error;
+                this.failed(endpoint, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    succeeded(endpoint) {
+        if (endpoint.circuit !== 'closed') console.log(`🔌 RPC circuit closed for ${redact(endpoint.url)}`);
+        endpoint.circuit = 'closed';
+        endpoint.failures = 0;
+    }
+
+    failed(endpoint, error) {
+        endpoint.failures++;
+        endpoint.errors++;
+        endpoint.lastError = errorMessage(error);
+        if (endpoint.circuit === 'half-open' || (endpoint.circuit === 'closed' && endpoint.failures >= this.failureThreshold)) {
+            endpoint.circuit = 'open';
+            endpoint.openedAt = Date.now();
+            console.warn(`🔌 RPC circuit opened for ${redact(endpoint.url)} after ${endpoint.failures} failure(s): ${endpoint.lastError}`);
+        }
+    }
+
+    health() {
+        const best = this.bestHead;
+        return {
+            head: best,
+            endpoints: this.endpoints.map(endpoint => ({
+                host: redact(endpoint.url),
+                chainOk: endpoint.chainOk,
+                circuit: endpoint.circuit,
+                head: endpoint.head,
+                lagBlocks: best !== null && endpoint.head !== null ? best - endpoint.head : null,
+                latencyMs: endpoint.latencyMs,
+                requests: endpoint.requests,
+                errors: endpoint.errors,
+                lastError: endpoint.lastError,
+                checkedAt: endpoint.checkedAt
+            }))
+        };
+    }
+}
@@ -0,0 +1,43 @@
+// Coffee Chess - Guest identities
+// Casual rooms can be played without a wallet. The browser makes up a random
+// secret for the session and sends it with the Socket.IO handshake, together
+// with a display name. The guest is known by a hash of the secret, so only that
+// browser can take its seat back after a reconnect. Guest ids ("guest:" and 20
+// hex digits) are never Ethereum addresses, which keeps guests out of anything
+// on-chain: server.js refuses them everywhere but casual rooms.
+import crypto from 'crypto';
+
+const GUEST_PREFIX = 'guest:';
+
+export class GuestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GuestError';
+    }
+}
+
+/**
+ * Identity for a guest handshake.
+ * @param {object} auth
+ * @param {string} auth.secret  64 hex digits made up by the browser
+ * @param {string} auth.name  display name
+ * @returns {{ id: string, name: string }}
+ */
+export function guestIdentity({ secret, name } = {}) {
+    if (typeof secret !== 'string' || !/^[0-9a-f]{64}$/i.test(secret)) throw new GuestError('Guest secret must be 64 hex digits');
+    const hash = crypto.createHash('sha256').update(secret.toLowerCase()).digest('hex');
+    return { id: GUEST_PREFIX + hash.slice(0, 20), name: parseGuestName(name) };
+}
+
+// Same rules as registered usernames
+export function parseGuestName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length < 3 || trimmed.length > 15 || !/^[a-zA-Z0-9_]+$/.test(trimmed)) {
+        throw new GuestError('Guest name must be 3-15 letters, numbers or underscores');
+    }
+    return trimmed;
+}
+
+export function isGuest(address) {
+    return typeof address === 'string' && address.startsWith(GUEST_PREFIX);
+}
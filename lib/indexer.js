@@ -0,0 +1,372 @@
+// Coffee Chess - On-chain game indexer
+// Follows the module contract's game and battle lifecycle events (Created,
+// Joined, Completed, Draw, Cancelled) and its quick-match queue events by
+// scanning confirmed block ranges with eth_getLogs, keeps a local index of
+// games and queue entries in the store and remembers the last processed block
+// so a restart resumes where it stopped.
+// Room logic never polls the contract: it asks the indexer to wait until a
+// player's stake is confirmed at the expected amount.
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+
+// Declared here rather than taken from the contract ABI so the indexer reads
+// both CoffyAuxiliaryV5 and the deployed module, whose queue events differ.
+const INDEXED_EVENTS = [
+    'event GameCreated(uint256 indexed gameId, address indexed creator, uint256 stakeAmount)',
+    'event GameJoined(uint256 indexed gameId, address indexed player)',
+    'event GameCompleted(uint256 indexed gameId, address indexed winner, uint256 prize)',
+    'event GameDraw(uint256 indexed gameId, address indexed player, uint256 refundAmount)',
+    'event GameCancelled(uint256 indexed gameId)',
+    'event BattleCreated(uint256 indexed battleId, address indexed initiator, uint256 stakeAmount)',
+    'event BattleJoined(uint256 indexed battleId, address indexed opponent)',
+    'event BattleCompleted(uint256 indexed battleId, address indexed winner, uint256 prize)',
+    'event BattleDraw(uint256 indexed battleId, address indexed player, uint256 refundAmount)',
+    'event BattleCancelled(uint256 indexed battleId)',
+    'event QueueJoined(uint256 indexed queueId, address indexed player, uint256 stake)',
+    'event QueueCancelled(uint256 indexed queueId)', // CoffyAuxiliaryV5
+    'event QueueCancelled(uint256 indexed queueId, address indexed player)', // deployed module
+    'event QuickMatchCompleted(uint256 indexed gameId, address indexed player1, address indexed player2, uint256 stake)', // CoffyAuxiliaryV5
+    'event QuickMatchMade(uint256 indexed gameId, address player1, address player2, uint256 stake)' // deployed module
+];
+const FINISHED = new Set(['completed', 'draw', 'cancelled']);
+
+// Games and battles share one lifecycle; each kind has its own index and store namespace
+const ESCROWS = {
+    game: { prefix: 'Game', idKey: 'gameId', ns: 'chainGames', label: 'game' },
+    battle: { prefix: 'Battle', idKey: 'battleId', ns: 'chainBattles', label: 'battle' }
+};
+
+export class ChainIndexer extends EventEmitter {
+    /**
+     * @param {object} opts
+     * @param {ethers.Contract} opts.contract  module contract (address + ABI)
+     * @param {object} opts.store  lib/storage.js backend
+     * @param {number} [opts.startBlock]  first block to scan when there is no saved cursor
+     * @param {number} [opts.lookbackBlocks]  used instead when startBlock is not set
+     * @param {number} [opts.confirmations]  blocks to stay behind the head
+     * @param {number} [opts.pollIntervalMs]
+     * @param {number} [opts.maxBlockRange]  getLogs range per request
+     * @param {number} [opts.retentionMs]  how long finished games stay in the index
+     * @param {number} [opts.battleExpirationSec]  contract battleExpiration, for open battles' expiresAt
+     */
+    constructor({ contract, store, startBlock = null, lookbackBlocks = 5000, confirmations = 1, pollIntervalMs = 2000, maxBlockRange = 2000, retentionMs = 24 * 60 * 60 * 1000, battleExpirationSec = 24 * 60 * 60 }) {
+        super();
+        this.setMaxListeners(0); // one listener per pending stake confirmation
+        this.contract = contract;
+        this.store = store;
+        this.startBlock = startBlock;
+        this.lookbackBlocks = lookbackBlocks;
+        this.confirmations = confirmations;
+        this.pollIntervalMs = pollIntervalMs;
+        this.maxBlockRange = maxBlockRange;
+        this.retentionMs = retentionMs;
+        this.battleExpirationSec = battleExpirationSec;
+
+        this.games = new Map(); // gameId -> { gameId, creator, opponent, stake, status, ... }
+        this.battles = new Map(); // battleId -> same shape plus expiresAt
+        this.queue = new Map(); // queueId -> { queueId, player, stake, queuedAt, status, pairedWith, gameId }
+        this.cursor = null; // last fully processed block
+        this.timer = null;
+        this.syncing = false;
+
+        this.iface = new ethers.utils.Interface(INDEXED_EVENTS);
+        this.topics = Object.values(this.iface.events).map(fragment => this.iface.getEventTopic(fragment));
+    }
+
+    get provider() {
+        return this.contract.provider;
+    }
+
+    async start() {
+        for (const kind of Object.keys(ESCROWS)) {
+            for (const { key, value } of this.store.list(ESCROWS[kind].ns)) {
+                this.index(kind).set(key, value);
+            }
+        }
+        for (const { key, value } of this.store.list('chainQueue')) {
+            this.queue.set(key, value);
+        }
+        const saved = this.store.get('indexer', 'cursor');
+        if (saved !== null) {
+            this.cursor = saved;
+        } else {
+            const head = await this.provider.getBlockNumber();
+            const from = this.startBlock !== null ? this.startBlock : Math.max(0, head - this.lookbackBlocks);
+            this.cursor = from - 1;
+        }
+        console.log(`📚 Chain indexer starting after block ${this.cursor} (${this.games.size} game(s), ${this.battles.size} battle(s) indexed)`);
+
+        await this.sync();
+        this.timer = setInterval(() => this.sync(), this.pollIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Process every confirmed block after the cursor
+    async sync() {
+        if (this.syncing) return;
+        this.syncing = true;
+        try {
+            const head = await this.provider.getBlockNumber();
+            const target = head - this.confirmations;
+
+            while (this.cursor < target) {
+                const fromBlock = this.cursor + 1;
+                const toBlock = Math.min(target, fromBlock + this.maxBlockRange - 1);
+                const logs = await this.provider.getLogs({
+                    address: this.contract.address,
+                    topics: [this.topics],
+                    fromBlock,
+                    toBlock
+                });
+
+                logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+                for (const log of logs) await this.apply(log);
+
+                this.cursor = toBlock;
+                this.store.set('indexer', 'cursor', this.cursor);
+            }
+            this.prune();
+        } catch (error) {
+            console.error('❌ Chain indexer sync failed:', error.message);
+        } finally {
+            this.syncing = false;
+        }
+    }
+
+    async apply(log) {
+        let parsed;
+        try {
+            parsed = this.iface.parseLog(log);
+        } catch (error) {
+            return;
+        }
+        if (parsed.name.startsWith('Queue') || parsed.name.startsWith('QuickMatch')) {
+            return this.applyQueue(parsed, log);
+        }
+
+        const kind = parsed.name.startsWith('Battle') ? 'battle' : 'game';
+        const { prefix, idKey, ns, label } = ESCROWS[kind];
+        const index = this.index(kind);
+        const id = parsed.args[0].toString();
+        const existing = index.get(id);
+        const at = { block: log.blockNumber, tx: log.transactionHash };
+
+        let record;
+        switch (parsed.name.slice(prefix.length)) {
+            case 'Created':
+                record = {
+                    kind,
+                    [idKey]: id,
+                    creator: parsed.args[1].toLowerCase(),
+                    opponent: null,
+                    stake: parsed.args[2].toString(),
+                    status: 'open',
+                    createdAt: at
+                };
+                if (kind === 'battle') {
+                    // Mirrors the contract: expiresAt = block.timestamp + battleExpiration
+                    const block = await this.provider.getBlock(log.blockNumber);
+                    record.expiresAt = block.timestamp + this.battleExpirationSec;
+                }
+                break;
+            case 'Joined':
+                if (!existing) return console.warn(`⚠️ ${parsed.name} for unindexed ${label} ${id} (created before the indexer start block)`);
+                record = { ...existing, opponent: parsed.args[1].toLowerCase(), status: 'active', joinedAt: at };
+                break;
+            case 'Completed':
+                if (!existing) return;
+                record = { ...existing, status: 'completed', winner: parsed.args[1].toLowerCase(), finishedAt: at };
+                break;
+            case 'Draw':
+                if (!existing) return;
+                record = { ...existing, status: 'draw', finishedAt: at };
+                break;
+            case 'Cancelled':
+                if (!existing) return;
+                record = { ...existing, status: 'cancelled', finishedAt: at };
+                break;
+            default:
+                return;
+        }
+
+        record.updatedAt = Date.now();
+        index.set(id, record);
+        this.store.set(ns, id, record);
+        this.emit(kind, record, parsed.name);
+    }
+
+    index(kind) {
+        return kind === 'battle' ? this.battles : this.games;
+    }
+
+    async applyQueue(parsed, log) {
+        if (parsed.name === 'QueueJoined') {
+            // queuedAt mirrors the contract's block.timestamp so expiry matches cancelExpiredQueue
+            const block = await this.provider.getBlock(log.blockNumber);
+            const entry = {
+                queueId: parsed.args.queueId.toString(),
+                player: parsed.args.player.toLowerCase(),
+                stake: parsed.args.stake.toString(),
+                queuedAt: block.timestamp,
+                status: 'waiting',
+                pairedWith: null,
+                gameId: null
+            };
+            this.saveQueueEntry(entry);
+            this.emit('queue', entry, parsed.name);
+            return;
+        }
+
+        if (parsed.name === 'QueueCancelled') {
+            const entry = this.queue.get(parsed.args.queueId.toString());
+            if (!entry) return;
+            this.saveQueueEntry({ ...entry, status: 'cancelled', pairedWith: null });
+            this.emit('queue', this.queue.get(entry.queueId), parsed.name);
+            return;
+        }
+
+        // QuickMatchCompleted / QuickMatchMade carry players, not queue ids: settle the
+        // entry the matchmaker paired for each player, else that player's oldest one
+        const gameId = parsed.args.gameId.toString();
+        const stake = parsed.args.stake.toString();
+        const players = [parsed.args.player1.toLowerCase(), parsed.args.player2.toLowerCase()];
+        const matched = players.map(player => {
+            const candidates = this.waitingEntries().filter(e => e.player === player && e.stake === stake);
+            return candidates.find(e => e.pairedWith) || candidates[0] || null;
+        });
+        matched.forEach(entry => {
+            if (entry) this.saveQueueEntry({ ...entry, status: 'matched', gameId });
+        });
+
+        // The deployed module emits no GameCreated/GameJoined for a quick match
+        if (!this.games.has(gameId)) {
+            const at = { block: log.blockNumber, tx: log.transactionHash };
+            const game = { kind: 'game', gameId, creator: players[0], opponent: players[1], stake, status: 'active', createdAt: at, joinedAt: at, updatedAt: Date.now() };
+            this.games.set(gameId, game);
+            this.store.set('chainGames', gameId, game);
+        }
+
+        this.emit('quickMatch', {
+            gameId,
+            stake,
+            player1: players[0],
+            player2: players[1],
+            queueId1: matched[0]?.queueId || null,
+            queueId2: matched[1]?.queueId || null
+        });
+    }
+
+    saveQueueEntry(entry) {
+        entry.updatedAt = Date.now();
+        this.queue.set(entry.queueId, entry);
+        this.store.set('chainQueue', entry.queueId, entry);
+    }
+
+    // Patch an indexed queue entry (e.g. the matchmaker's pairing) and persist it
+    updateQueueEntry(queueId, patch) {
+        const entry = this.queue.get(String(queueId));
+        if (!entry) return null;
+        this.saveQueueEntry({ ...entry, ...patch });
+        return this.queue.get(String(queueId));
+    }
+
+    getQueueEntry(queueId) {
+        return this.queue.get(String(queueId)) || null;
+    }
+
+    // Queue entries still holding a stake on-chain, oldest first
+    waitingEntries() {
+        return Array.from(this.queue.values())
+            .filter(e => e.status === 'waiting')
+            .sort((a, b) => Number(a.queueId) - Number(b.queueId));
+    }
+
+    // Forget finished games, battles and settled queue entries after the retention window
+    prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        for (const kind of Object.keys(ESCROWS)) {
+            const index = this.index(kind);
+            for (const [id, record] of index.entries()) {
+                if (FINISHED.has(record.status) && record.updatedAt < cutoff) {
+                    index.delete(id);
+                    this.store.delete(ESCROWS[kind].ns, id);
+                }
+            }
+        }
+        for (const [queueId, entry] of this.queue.entries()) {
+            if (entry.status !== 'waiting' && entry.updatedAt < cutoff) {
+                this.queue.delete(queueId);
+                this.store.delete('chainQueue', queueId);
+            }
+        }
+    }
+
+    getGame(gameId) {
+        return this.games.get(String(gameId)) || null;
+    }
+
+    getBattle(battleId) {
+        return this.battles.get(String(battleId)) || null;
+    }
+
+    // Unfinished games or battles a wallet created or joined
+    openFor(address, kind = 'game') {
+        const addr = address.toLowerCase();
+        return Array.from(this.index(kind).values())
+            .filter(g => !FINISHED.has(g.status) && (g.creator === addr || g.opponent === addr));
+    }
+
+    // Decide a stake from the indexed game or battle: { ok: true } | { ok: false, reason } | null (not on-chain yet)
+    checkStake(id, player, expectedStake, kind = 'game') {
+        const game = this.index(kind).get(String(id)) || null;
+        if (!game) return null;
+
+        const addr = player.toLowerCase();
+        if (FINISHED.has(game.status)) return { ok: false, reason: `${ESCROWS[kind].label} is already ${game.status}` };
+
+        let expected;
+        try {
+            expected = ethers.BigNumber.from(expectedStake);
+        } catch (error) {
+            return { ok: false, reason: `invalid expected stake ${expectedStake}` };
+        }
+        if (!ethers.BigNumber.from(game.stake).eq(expected)) {
+            return { ok: false, reason: `on-chain stake ${game.stake} does not match ${expected.toString()}` };
+        }
+
+        if (game.creator === addr) return { ok: true, game };
+        if (game.opponent === addr) return { ok: true, game };
+        if (game.opponent) return { ok: false, reason: `${ESCROWS[kind].label} was joined by another wallet` };
+        return null; // open, joiner's tx not indexed yet
+    }
+
+    /**
+     * Resolve once `player` has a confirmed stake of exactly `expectedStake` (wei)
+     * in game (or battle) `id`, or once that becomes impossible / the timeout passes.
+     * @returns {Promise<{ ok: boolean, reason?: string, game?: object }>}
+     */
+    waitForStake(id, player, expectedStake, timeoutMs = 60000, kind = 'game') {
+        const immediate = this.checkStake(id, player, expectedStake, kind);
+        if (immediate) return Promise.resolve(immediate);
+
+        const { idKey } = ESCROWS[kind];
+        return new Promise(resolve => {
+            const onRecord = (record) => {
+                if (record[idKey] !== String(id)) return;
+                const result = this.checkStake(id, player, expectedStake, kind);
+                if (result) finish(result);
+            };
+            const finish = (result) => {
+                clearTimeout(timer);
+                this.off(kind, onRecord);
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish({ ok: false, reason: `stake not confirmed within ${timeoutMs / 1000}s` }), timeoutMs);
+            this.on(kind, onRecord);
+        });
+    }
+}
@@ -0,0 +1,97 @@
+// Coffee Chess - Append-only ledger of signed game results
+// One JSON line per signed result, keyed by on-chain gameId. Lines are only
+// ever appended; the in-memory index is rebuilt from the file on startup.
+// The ledger is the source of truth for "what did we sign for this game", so
+// a second, different result for the same gameId is refused.
+import fs from 'fs';
+import { dirname } from 'path';
+
+// Games and battles have separate on-chain id spaces; battles get a prefixed key
+export function ledgerKey(kind, id) {
+    return kind === 'battle' ? `battle-${id}` : String(id);
+}
+
+export class LedgerConflictError extends Error {
+    constructor(gameId, existing, attempted) {
+        super(`Game ${gameId} already signed as ${describeResult(existing)}, refusing ${describeResult(attempted)}`);
+        this.name = 'LedgerConflictError';
+        this.gameId = gameId;
+        this.existing = existing;
+    }
+}
+
+function describeResult(entry) {
+    return entry.winner === 'draw' ? 'draw' : `win for ${entry.winnerAddress}`;
+}
+
+function sameResult(a, b) {
+    if (a.winner === 'draw' || b.winner === 'draw') return a.winner === b.winner;
+    return (a.winnerAddress || '').toLowerCase() === (b.winnerAddress || '').toLowerCase();
+}
+
+export class SignatureLedger {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map(); // gameId -> entry
+
+        fs.mkdirSync(dirname(filePath), { recursive: true });
+        if (fs.existsSync(filePath)) {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    // First entry wins - a later line can never override a signed result
+                    if (!this.entries.has(entry.gameId)) this.entries.set(entry.gameId, entry);
+                } catch (error) {
+                    console.error('❌ Skipping corrupt ledger line:', line.slice(0, 80));
+                }
+            }
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(gameId) {
+        return this.entries.get(String(gameId)) || null;
+    }
+
+    // Throws LedgerConflictError if `result` disagrees with what is already signed.
+    // Returns the existing entry (same result) or null (nothing signed yet).
+    check(gameId, result) {
+        const existing = this.get(gameId);
+        if (!existing) return null;
+        if (!sameResult(existing, result)) throw new LedgerConflictError(gameId, existing, result);
+        return existing;
+    }
+
+    record(entry) {
+        const gameId = String(entry.gameId);
+        const existing = this.check(gameId, entry);
+        if (existing) return existing;
+
+        const line = {
+            ...entry,
+            gameId,
+            winnerAddress: entry.winnerAddress ? entry.winnerAddress.toLowerCase() : null,
+            whiteAddress: entry.whiteAddress ? entry.whiteAddress.toLowerCase() : null,
+            blackAddress: entry.blackAddress ? entry.blackAddress.toLowerCase() : null,
+            signedAt: Date.now()
+        };
+        fs.appendFileSync(this.filePath, JSON.stringify(line) + '\n');
+        this.entries.set(gameId, line);
+        return line;
+    }
+
+    // Signature a given wallet can claim with, or null
+    signatureFor(gameId, address) {
+        const entry = this.get(gameId);
+        if (!entry || !address) return null;
+        const addr = address.toLowerCase();
+        if (addr === entry.whiteAddress) return entry.signatureWhite || null;
+        if (addr === entry.blackAddress) return entry.signatureBlack || null;
+        return null;
+    }
+}
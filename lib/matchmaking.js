@@ -0,0 +1,254 @@
+// Coffee Chess - Quick-match matchmaking
+// Players escrow their stake with joinQuickMatch; the indexer reports the
+// resulting QueueJoined entries. The matchmaker pairs waiting entries with an
+// equal stake (and a compatible time control when the client registered one),
+// signs QUICK_MATCH with the trusted signer and either submits
+// executeQuickMatch itself or hands the signed call to one of the players.
+// Once QuickMatchCompleted is indexed it reports the new on-chain gameId.
+// Expiry follows the contract's queueExpiration, re-read every
+// expirationCheckMs since the owner can change it.
+//
+// Events:
+//   'status'  (address, status)   queue state for one player's entry
+//   'handoff' (address, call)     { queueId1, queueId2, signature } for the player to submit
+//   'matched' (match)             { gameId, stake, player1, player2, queueId1, queueId2, timeControl }
+import { EventEmitter } from 'events';
+
+export class QuickMatchMaker extends EventEmitter {
+    /**
+     * @param {object} opts
+     * @param {import('./indexer.js').ChainIndexer} opts.indexer
+     * @param {object} opts.resultSigner  lib/signing.js adapter (signQuickMatch)
+     * @param {ethers.Contract} [opts.submitter]  module contract connected to a funded wallet; hand-off mode when omitted
+     * @param {ethers.Contract} [opts.contract]  module exposing queueExpiration()
+     * @param {number} [opts.queueExpirationMs]  used until (or if never) queueExpiration() can be read
+     * @param {number} [opts.expirationCheckMs]  how often queueExpiration() is re-read
+     * @param {number} [opts.expiryMarginMs]  don't pair entries this close to expiring
+     * @param {number} [opts.pairGraceMs]  give a fresh entry time to register its time control
+     * @param {number} [opts.handoffTimeoutMs]  how long each player gets to submit a hand-off
+     */
+    constructor({ indexer, resultSigner, submitter = null, contract = null, queueExpirationMs = 10 * 60 * 1000, expirationCheckMs = 5 * 60 * 1000, expiryMarginMs = 60000, pairGraceMs = 3000, handoffTimeoutMs = 45000 }) {
+        super();
+        this.indexer = indexer;
+        this.resultSigner = resultSigner;
+        this.submitter = submitter;
+        this.contract = contract;
+        this.queueExpirationMs = queueExpirationMs;
+        this.expirationCheckMs = expirationCheckMs;
+        this.expiryMarginMs = expiryMarginMs;
+        this.pairGraceMs = pairGraceMs;
+        this.handoffTimeoutMs = handoffTimeoutMs;
+
+        this.tickets = new Map(); // queueId -> { address, timeControl, registeredAt }
+        this.pending = new Map(); // queueId1 -> pair awaiting execution
+        this.timer = null;
+        this.expirationTimer = null;
+        this.matching = false;
+    }
+
+    get mode() {
+        return this.submitter ? 'submit' : 'handoff';
+    }
+
+    async start() {
+        await this.checkExpiration();
+        if (this.contract) this.expirationTimer = setInterval(() => this.checkExpiration(), this.expirationCheckMs);
+
+        // Pairings don't survive a restart - release them so they can be signed again
+        this.indexer.waitingEntries().forEach(entry => {
+            if (entry.pairedWith) this.indexer.updateQueueEntry(entry.queueId, { pairedWith: null });
+        });
+
+        this.indexer.on('queue', (entry) => {
+            if (entry.status === 'cancelled') this.dropPairOf(entry.queueId);
+            this.tryMatch();
+        });
+        this.indexer.on('quickMatch', (match) => this.onQuickMatch(match));
+        this.timer = setInterval(() => this.tryMatch(), 2000);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        if (this.expirationTimer) clearInterval(this.expirationTimer);
+        this.timer = null;
+        this.expirationTimer = null;
+        this.pending.forEach(pair => clearTimeout(pair.timer));
+    }
+
+    // Off-chain preferences for an on-chain queue entry. The entry itself may not
+    // be indexed yet; ownership is checked again before pairing.
+    register(queueId, address, { timeControl = null } = {}) {
+        queueId = String(queueId);
+        const entry = this.indexer.getQueueEntry(queueId);
+        if (entry && entry.player !== address) return { error: 'Queue entry belongs to another wallet' };
+        if (entry && entry.status === 'cancelled') return { error: 'Queue entry was cancelled' };
+
+        this.tickets.set(queueId, { address, timeControl: timeControl || null, registeredAt: Date.now() });
+        this.tryMatch();
+        this.publishStatus();
+        return { success: true, mode: this.mode, status: this.statusFor(queueId) };
+    }
+
+    async checkExpiration() {
+        if (!this.contract) return;
+        let expirationMs;
+        try {
+            expirationMs = Number(await this.contract.queueExpiration()) * 1000;
+        } catch (error) {
+            console.warn(`⚠️ Could not read queueExpiration(), keeping ${this.queueExpirationMs / 1000}s: ${error.reason || error.message}`);
+            return;
+        }
+        if (expirationMs === this.queueExpirationMs) return;
+        console.log(`⏱️ Quick-match queue expiration is ${expirationMs / 1000}s on-chain (was ${this.queueExpirationMs / 1000}s)`);
+        this.queueExpirationMs = expirationMs;
+        this.publishStatus();
+    }
+
+    expiresAt(entry) {
+        return entry.queuedAt * 1000 + this.queueExpirationMs;
+    }
+
+    ticketFor(entry) {
+        const ticket = this.tickets.get(entry.queueId);
+        return ticket && ticket.address === entry.player ? ticket : null;
+    }
+
+    // Entries that can be paired right now, oldest first
+    candidates() {
+        const now = Date.now();
+        return this.indexer.waitingEntries().filter(entry => {
+            if (entry.pairedWith) return false;
+            if (this.expiresAt(entry) - this.expiryMarginMs <= now) return false;
+            return this.ticketFor(entry) || now - entry.updatedAt >= this.pairGraceMs;
+        });
+    }
+
+    compatible(a, b) {
+        if (a.player === b.player || a.stake !== b.stake) return false;
+        const ta = this.ticketFor(a)?.timeControl;
+        const tb = this.ticketFor(b)?.timeControl;
+        return !ta || !tb || ta === tb;
+    }
+
+    async tryMatch() {
+        if (this.matching) return;
+        this.matching = true;
+        try {
+            const open = this.candidates();
+            const used = new Set();
+            for (let i = 0; i < open.length; i++) {
+                if (used.has(i)) continue;
+                for (let j = i + 1; j < open.length; j++) {
+                    if (used.has(j) || !this.compatible(open[i], open[j])) continue;
+                    used.add(i);
+                    used.add(j);
+                    await this.pair(open[i], open[j]);
+                    break;
+                }
+            }
+            this.publishStatus();
+        } catch (error) {
+            console.error('❌ Quick-match pairing failed:', error.message);
+        } finally {
+            this.matching = false;
+        }
+    }
+
+    async pair(a, b) {
+        const signature = await this.resultSigner.signQuickMatch(a.queueId, b.queueId);
+        const pair = {
+            queueId1: a.queueId,
+            queueId2: b.queueId,
+            player1: a.player,
+            player2: b.player,
+            stake: a.stake,
+            timeControl: this.ticketFor(a)?.timeControl || this.ticketFor(b)?.timeControl || null,
+            signature,
+            createdAt: Date.now(),
+            timer: null
+        };
+        this.pending.set(pair.queueId1, pair);
+        this.indexer.updateQueueEntry(a.queueId, { pairedWith: b.queueId });
+        this.indexer.updateQueueEntry(b.queueId, { pairedWith: a.queueId });
+        console.log(`🤝 Quick match paired: queue ${a.queueId} (${a.player}) vs ${b.queueId} (${b.player})`);
+
+        if (this.submitter) {
+            this.submit(pair);
+        } else {
+            this.handoff(pair, 0);
+        }
+    }
+
+    async submit(pair) {
+        try {
+            const tx = await this.submitter.executeQuickMatch(pair.queueId1, pair.queueId2, pair.signature);
+            console.log(`📤 executeQuickMatch submitted: ${tx.hash}`);
+            await tx.wait();
+        } catch (error) {
+            console.error(`❌ executeQuickMatch ${pair.queueId1}/${pair.queueId2} failed:`, error.reason || error.message);
+            this.unpair(pair);
+        }
+    }
+
+    // Offer the signed call to player1, then player2; unpair if neither submits
+    handoff(pair, turn) {
+        if (turn > 1) {
+            console.log(`⌛ Quick match ${pair.queueId1}/${pair.queueId2} was never executed, unpairing`);
+            this.unpair(pair);
+            return;
+        }
+        const to = turn === 0 ? pair.player1 : pair.player2;
+        this.emit('handoff', to, { queueId1: pair.queueId1, queueId2: pair.queueId2, signature: pair.signature });
+        pair.timer = setTimeout(() => this.handoff(pair, turn + 1), this.handoffTimeoutMs);
+    }
+
+    unpair(pair) {
+        clearTimeout(pair.timer);
+        this.pending.delete(pair.queueId1);
+        [pair.queueId1, pair.queueId2].forEach(queueId => {
+            const entry = this.indexer.getQueueEntry(queueId);
+            if (entry?.status === 'waiting') this.indexer.updateQueueEntry(queueId, { pairedWith: null });
+        });
+        this.publishStatus();
+    }
+
+    // One side cancelled before execution: release the other side
+    dropPairOf(queueId) {
+        for (const pair of this.pending.values()) {
+            if (pair.queueId1 === queueId || pair.queueId2 === queueId) this.unpair(pair);
+        }
+    }
+
+    onQuickMatch(match) {
+        const pair = Array.from(this.pending.values()).find(p =>
+            p.player1 === match.player1 && p.player2 === match.player2 && p.stake === match.stake);
+        if (pair) {
+            clearTimeout(pair.timer);
+            this.pending.delete(pair.queueId1);
+        }
+
+        console.log(`✅ Quick match executed on-chain: game ${match.gameId}`);
+        this.emit('matched', { ...match, timeControl: pair?.timeControl || null });
+        this.publishStatus();
+    }
+
+    statusFor(queueId) {
+        const entry = this.indexer.getQueueEntry(queueId);
+        if (!entry) return { queueId, state: 'pending' }; // joinQuickMatch not indexed yet
+
+        const waiting = this.indexer.waitingEntries().filter(e => e.stake === entry.stake && !e.pairedWith).length;
+        let state = entry.status;
+        if (state === 'waiting' && entry.pairedWith) state = 'paired';
+        else if (state === 'waiting' && this.expiresAt(entry) <= Date.now()) state = 'expired';
+
+        return { queueId, state, stake: entry.stake, waiting, expiresAt: this.expiresAt(entry), gameId: entry.gameId };
+    }
+
+    publishStatus() {
+        for (const [queueId, ticket] of this.tickets.entries()) {
+            const status = this.statusFor(queueId);
+            this.emit('status', ticket.address, status);
+            if (status.state === 'cancelled' || status.state === 'matched') this.tickets.delete(queueId);
+        }
+    }
+}
@@ -0,0 +1,183 @@
+// Coffee Chess - Glicko-2 ratings
+// Every wallet has a rating per time-control category, updated after each
+// rated game with Glickman's Glicko-2 ("Example of the Glicko-2 system").
+// Like most game servers we treat every game as a rating period of its own.
+// Categories go by the estimated game length, base time + 40 moves of increment:
+//   bullet  under 3 minutes
+//   blitz   under 8 minutes
+//   rapid   anything longer
+// Ratings live in the store's 'ratings' namespace, one record per wallet with
+// the current rating of each category and the most recent rated games.
+import { parseTimeControl } from './clock.js';
+
+export const RATING_CATEGORIES = ['bullet', 'blitz', 'rapid'];
+
+const INITIAL = { rating: 1500, rd: 350, volatility: 0.06 };
+const SCALE = 173.7178; // Glicko-2 scale factor
+const TAU = 0.5; // how much the volatility may change per game
+const EPSILON = 0.000001;
+const MIN_RD = 45; // a long-standing rating still moves a little
+const PROVISIONAL_RD = 110; // shown with a "?" above this
+const MAX_HISTORY = 200; // rated games kept per wallet
+
+export class RatingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RatingError';
+    }
+}
+
+// Category a time control ("3+2", "5d3", ...) is rated in
+export function ratingCategory(timeControl) {
+    const { minutes, increment } = parseTimeControl(timeControl);
+    const seconds = minutes * 60 + 40 * increment;
+    if (seconds < 180) return 'bullet';
+    if (seconds < 480) return 'blitz';
+    return 'rapid';
+}
+
+const g = phi => 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+const expectedScore = (mu, muj, phij) => 1 / (1 + Math.exp(-g(phij) * (mu - muj)));
+
+/**
+ * One Glicko-2 rating period.
+ * @param {{rating: number, rd: number, volatility: number}} player
+ * @param {{rating: number, rd: number, score: number}[]} results  score 1 / 0.5 / 0 against each opponent
+ * @returns {{rating: number, rd: number, volatility: number}}
+ */
+export function updateRating(player, results) {
+    const mu = (player.rating - 1500) / SCALE;
+    const phi = player.rd / SCALE;
+    const sigma = player.volatility;
+    if (results.length === 0) return { ...player, rd: Math.min(INITIAL.rd, Math.sqrt(phi * phi + sigma * sigma) * SCALE) };
+
+    let vInverse = 0;
+    let sum = 0;
+    for (const result of results) {
+        const muj = (result.rating - 1500) / SCALE;
+        const phij = result.rd / SCALE;
+        const e = expectedScore(mu, muj, phij);
+        vInverse += g(phij) ** 2 * e * (1 - e);
+        sum += g(phij) * (result.score - e);
+    }
+    const v = 1 / vInverse;
+    const delta = v * sum;
+
+    // New volatility: root of f by the Illinois algorithm (step 5 of the paper)
+    const a = Math.log(sigma * sigma);
+    const f = x => Math.exp(x) * (delta * delta - phi * phi - v - Math.exp(x)) /
+        (2 * (phi * phi + v + Math.exp(x)) ** 2) - (x - a) / (TAU * TAU);
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+        B = Math.log(delta * delta - phi * phi - v);
+    } else {
+        let k = 1;
+        while (f(a - k * TAU) < 0) k++;
+        B = a - k * TAU;
+    }
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > EPSILON) {
+        const C = A + (A - B) * fA / (fB - fA);
+        const fC = f(C);
+        if (fC * fB <= 0) {
+            A = B;
+            fA = fB;
+        } else {
+            fA /= 2;
+        }
+        B = C;
+        fB = fC;
+    }
+    const newSigma = Math.exp(A / 2);
+
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    return {
+        rating: 1500 + SCALE * (mu + newPhi * newPhi * sum),
+        rd: newPhi * SCALE,
+        volatility: newSigma
+    };
+}
+
+export class RatingBook {
+    /**
+     * @param {object} opts
+     * @param {object} opts.store  lib/storage.js backend
+     */
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    record(address) {
+        return this.store.get('ratings', address) || { categories: {}, history: [] };
+    }
+
+    // Glicko-2 state of `address` in `category` (the initial rating before any game)
+    get(address, category) {
+        return this.record(address).categories[category] || { ...INITIAL, games: 0 };
+    }
+
+    // What clients show: rounded, with the provisional flag
+    view(address, category) {
+        const { rating, rd, games } = this.get(address, category);
+        return { rating: Math.round(rating), rd: Math.round(rd), games, provisional: rd > PROVISIONAL_RD };
+    }
+
+    /**
+     * Rating change `address` would get from a win, draw or loss against `opponent`.
+     * @returns {{win: number, draw: number, loss: number}}
+     */
+    preview(address, opponent, category) {
+        const player = this.get(address, category);
+        const other = this.get(opponent, category);
+        const change = score => Math.round(updateRating(player, [{ ...other, score }]).rating - player.rating);
+        return { win: change(1), draw: change(0.5), loss: change(0) };
+    }
+
+    /**
+     * Rate a finished game and keep it in both wallets' history.
+     * @param {object} game
+     * @param {string} game.roomId
+     * @param {string} game.category  one of RATING_CATEGORIES
+     * @param {string} game.white  wallet address
+     * @param {string} game.black  wallet address
+     * @param {number} game.score  White's score: 1, 0.5 or 0
+     * @returns {{category: string, white: {rating: number, change: number}, black: {rating: number, change: number}}}
+     */
+    rate({ roomId, category, white, black, score }) {
+        if (!RATING_CATEGORIES.includes(category)) throw new RatingError(`Unknown rating category "${category}"`);
+        if (white === black) throw new RatingError('A wallet cannot be rated against itself');
+
+        const before = { white: this.get(white, category), black: this.get(black, category) };
+        const sides = [['white', white, black, score], ['black', black, white, 1 - score]];
+        const result = { category };
+        const at = Date.now();
+
+        // Both updates use the ratings from before the game
+        for (const [side, address, opponent, ownScore] of sides) {
+            const other = before[side === 'white' ? 'black' : 'white'];
+            const updated = updateRating(before[side], [{ ...other, score: ownScore }]);
+            updated.rd = Math.max(MIN_RD, updated.rd);
+            const change = Math.round(updated.rating) - Math.round(before[side].rating);
+
+            const record = this.record(address);
+            record.categories[category] = { ...updated, games: before[side].games + 1 };
+            record.history.push({ at, roomId, category, color: side, opponent, score: ownScore, rating: Math.round(updated.rating), change });
+            if (record.history.length > MAX_HISTORY) record.history.splice(0, record.history.length - MAX_HISTORY);
+            this.store.set('ratings', address, record);
+
+            result[side] = { rating: Math.round(updated.rating), change };
+        }
+        return result;
+    }
+
+    // Public profile: every category's rating and the recent rated games, newest first
+    profile(address) {
+        const record = this.record(address);
+        const ratings = {};
+        for (const category of RATING_CATEGORIES) ratings[category] = this.view(address, category);
+        return { ratings, history: record.history.slice().reverse() };
+    }
+}
@@ -0,0 +1,70 @@
+// Coffee Chess - Room rules
+// What the creator of a room decides besides stake and time control. The joiner
+// sees them (getRoomInfo / findRoomByGameId) before staking.
+//   color           the creator's side: white, black or random (drawn when the room opens)
+//   rated           whether the result counts for ratings (lib/ratings.js); guests,
+//                   rooms started from a custom FEN and rooms with takebacks are always unrated
+//   takebacks       requestTakeback / acceptTakeback; unstaked rooms only, since a
+//                   takeback in a staked game would change what the stake was played for
+//   drawOffersFrom  "Sofia rules": no draw offers before this move of the room (0 = any time),
+//                   counted from the room's start position, not the FEN move counter
+export const CREATOR_COLORS = ['white', 'black', 'random'];
+
+const MAX_DRAW_OFFERS_FROM = 60;
+
+export class RoomRulesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoomRulesError';
+    }
+}
+
+/**
+ * Normalize the rules sent with createRoom. Missing fields get the defaults
+ * rooms had before rules existed (creator white, rated, no takebacks, draws
+ * any time).
+ * @param {object} [value]
+ * @param {object} [opts]
+ * @param {boolean} [opts.staked]  the room holds a stake (takebacks are refused)
+ */
+export function parseRoomRules(value = {}, { staked = false } = {}) {
+    if (value === null || typeof value !== 'object') throw new RoomRulesError('Room rules must be an object');
+
+    const color = value.color ?? 'white';
+    if (!CREATOR_COLORS.includes(color)) throw new RoomRulesError(`Color must be one of ${CREATOR_COLORS.join(', ')}`);
+
+    const rated = value.rated ?? true;
+    const takebacks = value.takebacks ?? false;
+    if (typeof rated !== 'boolean' || typeof takebacks !== 'boolean') throw new RoomRulesError('rated and takebacks must be true or false');
+    if (takebacks && staked) throw new RoomRulesError('Takebacks are only allowed in unstaked rooms');
+
+    const drawOffersFrom = Number(value.drawOffersFrom ?? 0);
+    if (!Number.isInteger(drawOffersFrom) || drawOffersFrom < 0 || drawOffersFrom > MAX_DRAW_OFFERS_FROM) {
+        throw new RoomRulesError(`Draw offers can be held back until move ${MAX_DRAW_OFFERS_FROM} at most`);
+    }
+
+    // A takeback changes the game being rated, so those rooms never are
+    return { color, rated: rated && !takebacks, takebacks, drawOffersFrom };
+}
+
+// The creator's actual side; 'random' is decided once, when the room opens
+export function creatorColor(rules) {
+    if (rules.color !== 'random') return rules.color;
+    return Math.random() < 0.5 ? 'white' : 'black';
+}
+
+// Half-moves from the start of the game to `fen`, read from its side to move and move counter
+function plyIndex(fen) {
+    const [, turn, , , , fullmove] = fen.split(' ');
+    return (Number(fullmove) - 1) * 2 + (turn === 'b' ? 1 : 0);
+}
+
+// Half-moves played in the room since its start position (a custom FEN may start at any move)
+export function pliesPlayed(chess, startFen) {
+    return plyIndex(chess.fen()) - plyIndex(startFen);
+}
+
+// Move of the room the side to move is about to make, 1 for the first move from startFen
+export function roomMoveNumber(chess, startFen) {
+    return Math.floor(pliesPlayed(chess, startFen) / 2) + 1;
+}
@@ -0,0 +1,291 @@
+// Coffee Chess - Earn-to-play practice sessions
+// Games against the AI are played out on the server: every player move is
+// validated on a server-side chess.js session and the AI replies from
+// lib/ai.js (in a worker thread). Beating a difficulty level that has a reward
+// earns it; the module pays from rewardPoolBalance via
+// claimSessionReward(sessionId, amount, signature). Easy is a random mover, so
+// it has no reward.
+//
+// The contract caps each claim at maxRewardPerSession and each wallet at
+// maxDailyRewardPerUser per UTC day (block.timestamp / 1 days). Signatures
+// don't expire, so every signed-but-unclaimed reward is counted against the
+// current day: even if the player claims all of them today, the total stays
+// under the cap and no signature we hand out can revert.
+import crypto from 'crypto';
+import { Chess } from 'chess.js';
+import { ethers } from 'ethers';
+import { AI_DIFFICULTIES, AiWorker } from './ai.js';
+
+const { BigNumber } = ethers;
+const DAY_SECONDS = 24 * 60 * 60;
+const CLAIMED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class SessionRewardError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionRewardError';
+    }
+}
+
+// Day index the contract uses for dailyRewardsClaimed
+export function rewardDay(timestampMs = Date.now()) {
+    return Math.floor(timestampMs / 1000 / DAY_SECONDS);
+}
+
+function minBigNumber(...values) {
+    return values.reduce((min, v) => (v.lt(min) ? v : min));
+}
+
+export class PracticeSessions {
+    /**
+     * @param {object} opts
+     * @param {object} opts.store  lib/storage.js backend; signed rewards live in the 'sessionRewards' namespace
+     * @param {object} opts.rewards  difficulty -> reward for a win, in wei; levels left out earn nothing
+     * @param {AiWorker} [opts.ai]  searches the AI's replies off the event loop
+     * @param {object} [opts.resultSigner]  lib/signing.js adapter (signSessionReward); wins are unrewarded without it
+     * @param {ethers.Contract} [opts.rewardContract]  module with SESSION_REWARD_ABI, for caps, pool and claim status
+     * @param {number} [opts.minPlayerMoves]  shortest win that still earns a reward
+     * @param {number} [opts.idleTimeoutMs]  sessions without a move for this long are dropped
+     */
+    constructor({ store, rewards, ai = new AiWorker(), resultSigner = null, rewardContract = null, minPlayerMoves = 10, idleTimeoutMs = 30 * 60 * 1000 }) {
+        this.store = store;
+        this.rewards = rewards;
+        this.ai = ai;
+        this.resultSigner = resultSigner;
+        this.rewardContract = rewardContract;
+        this.minPlayerMoves = minPlayerMoves;
+        this.idleTimeoutMs = idleTimeoutMs;
+
+        this.sessions = new Map(); // sessionId -> session
+        this.byAddress = new Map(); // address -> sessionId
+        this.grantChain = Promise.resolve(); // grants are signed one at a time
+        this.timer = null;
+    }
+
+    get rewardsEnabled() {
+        return !!(this.resultSigner && this.rewardContract && this.resultSigner.supports('SESSION_REWARD'));
+    }
+
+    start() {
+        this.timer = setInterval(() => this.prune(), 60000);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+        this.ai.stop();
+    }
+
+    // ============ GAME ============
+
+    open(address, { difficulty, timeLimit }) {
+        if (!AI_DIFFICULTIES.includes(difficulty)) throw new SessionRewardError(`Unknown difficulty "${difficulty}"`);
+        const minutes = Number(timeLimit);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > 180) throw new SessionRewardError('Invalid time limit');
+
+        // One practice game per wallet; starting another abandons the old one
+        const previous = this.byAddress.get(address);
+        if (previous) this.sessions.delete(previous);
+
+        const now = Date.now();
+        const session = {
+            id: '0x' + crypto.randomBytes(32).toString('hex'),
+            address,
+            difficulty,
+            chess: new Chess(),
+            clockMs: minutes * 60 * 1000,
+            turnStartedAt: now,
+            lastActivity: now,
+            playerMoves: 0,
+            aiThinking: false
+        };
+        this.sessions.set(session.id, session);
+        this.byAddress.set(address, session.id);
+        return {
+            sessionId: session.id,
+            difficulty,
+            fen: session.chess.fen(),
+            clockMs: session.clockMs,
+            reward: this.rewardsEnabled ? this.rewards[difficulty] || null : null
+        };
+    }
+
+    get(sessionId, address) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.address !== address) throw new SessionRewardError('Practice session not found');
+        return session;
+    }
+
+    // Apply the player's move (white), then the AI's reply
+    async move(sessionId, address, move) {
+        const session = this.get(sessionId, address);
+        if (session.aiThinking) throw new SessionRewardError('Wait for the AI to move');
+        const { chess } = session;
+        const now = Date.now();
+
+        session.clockMs -= now - session.turnStartedAt;
+        session.lastActivity = now;
+        if (session.clockMs <= 0) {
+            return { fen: chess.fen(), clockMs: 0, result: await this.finish(session, 'ai', 'timeout') };
+        }
+
+        let played;
+        try {
+            played = chess.turn() === 'w' ? chess.move({ from: move?.from, to: move?.to, promotion: move?.promotion || 'q' }) : null;
+        } catch (error) {
+            played = null;
+        }
+        if (!played) throw new SessionRewardError('Illegal move');
+        session.playerMoves++;
+
+        let aiMove = null;
+        if (!chess.game_over()) {
+            let reply;
+            session.aiThinking = true;
+            try {
+                reply = await this.ai.choose(chess.fen(), session.difficulty);
+            } catch (error) {
+                // Take the move back so the player can try again
+                chess.undo();
+                session.playerMoves--;
+                session.turnStartedAt = Date.now();
+                throw new SessionRewardError(error.message);
+            } finally {
+                session.aiThinking = false;
+            }
+            // Resigned or replaced while the AI was thinking
+            if (this.sessions.get(session.id) !== session) throw new SessionRewardError('Practice session not found');
+            const made = chess.move({ from: reply.from, to: reply.to, promotion: reply.promotion || undefined });
+            aiMove = { from: made.from, to: made.to, promotion: made.promotion || null, san: made.san, captured: made.captured || null };
+        }
+        session.turnStartedAt = Date.now();
+
+        const outcome = this.outcomeOf(chess);
+        const result = outcome ? await this.finish(session, outcome.winner, outcome.reason) : null;
+        return { fen: chess.fen(), move: played.san, aiMove, clockMs: session.clockMs, result };
+    }
+
+    async resign(sessionId, address) {
+        return this.finish(this.get(sessionId, address), 'ai', 'resignation');
+    }
+
+    outcomeOf(chess) {
+        if (chess.in_checkmate()) return { winner: chess.turn() === 'b' ? 'player' : 'ai', reason: 'checkmate' };
+        if (chess.in_stalemate()) return { winner: 'draw', reason: 'stalemate' };
+        if (chess.in_threefold_repetition()) return { winner: 'draw', reason: 'repetition' };
+        if (chess.insufficient_material()) return { winner: 'draw', reason: 'insufficient material' };
+        if (chess.in_draw()) return { winner: 'draw', reason: 'draw' };
+        return null;
+    }
+
+    async finish(session, winner, reason) {
+        this.sessions.delete(session.id);
+        if (this.byAddress.get(session.address) === session.id) this.byAddress.delete(session.address);
+
+        const result = { winner, reason, reward: null };
+        if (winner !== 'player' || !this.rewards[session.difficulty]) return result;
+
+        try {
+            result.reward = await this.grant(session);
+        } catch (error) {
+            console.error(`❌ Session reward for ${session.address} failed:`, error.message);
+            result.rewardError = error instanceof SessionRewardError ? error.message : 'Reward could not be signed';
+        }
+        return result;
+    }
+
+    // ============ REWARDS ============
+
+    // Serialized so two budget checks (daily cap, shared pool) can't interleave
+    grant(session) {
+        const next = this.grantChain.then(() => this.signReward(session));
+        this.grantChain = next.catch(() => { });
+        return next;
+    }
+
+    async signReward(session) {
+        if (!this.rewardsEnabled) throw new SessionRewardError('Rewards are not enabled on this server');
+        if (session.playerMoves < this.minPlayerMoves) {
+            throw new SessionRewardError(`Wins under ${this.minPlayerMoves} moves don't earn a reward`);
+        }
+
+        const base = BigNumber.from(this.rewards[session.difficulty] || 0);
+        const { maxPerSession, dailyLeft, poolLeft } = await this.budgetFor(session.address);
+        const amount = minBigNumber(base, maxPerSession, dailyLeft, poolLeft);
+        if (amount.lte(0)) {
+            throw new SessionRewardError(dailyLeft.lte(0) ? 'Daily reward limit reached' : 'Reward pool is empty');
+        }
+
+        const signature = await this.resultSigner.signSessionReward(session.id, session.address, amount);
+        const record = {
+            sessionId: session.id,
+            address: session.address,
+            difficulty: session.difficulty,
+            amount: amount.toString(),
+            signature,
+            signedAt: Date.now(),
+            claimed: false
+        };
+        this.store.set('sessionRewards', session.id, record);
+        console.log(`🎁 Session reward signed: ${ethers.utils.formatUnits(amount, 18)} COFFY for ${session.address} (${session.difficulty})`);
+        return record;
+    }
+
+    // What the contract would still accept from this wallet, net of our unclaimed signatures
+    async budgetFor(address) {
+        await this.refreshClaims();
+        const contract = this.rewardContract;
+        const [maxPerSession, maxDaily, claimedToday, pool] = await Promise.all([
+            contract.maxRewardPerSession(),
+            contract.maxDailyRewardPerUser(),
+            contract.dailyRewardsClaimed(address, rewardDay()),
+            contract.rewardPoolBalance()
+        ]);
+
+        const unclaimed = this.records().filter(r => !r.claimed);
+        const sum = (list) => list.reduce((total, r) => total.add(r.amount), BigNumber.from(0));
+
+        return {
+            maxPerSession,
+            dailyLeft: maxDaily.sub(claimedToday).sub(sum(unclaimed.filter(r => r.address === address))),
+            poolLeft: pool.sub(sum(unclaimed))
+        };
+    }
+
+    records(address = null) {
+        return this.store.list('sessionRewards')
+            .map(({ value }) => value)
+            .filter(r => !address || r.address === address);
+    }
+
+    // Mark signatures that have been used on-chain
+    async refreshClaims(address = null) {
+        const pending = this.records(address).filter(r => !r.claimed);
+        await Promise.all(pending.map(async (record) => {
+            try {
+                if (await this.rewardContract.usedSessionClaims(record.sessionId)) {
+                    this.store.set('sessionRewards', record.sessionId, { ...record, claimed: true, claimedAt: Date.now() });
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not check claim status of session ${record.sessionId}: ${error.message}`);
+            }
+        }));
+    }
+
+    async rewardsFor(address) {
+        if (this.rewardContract) await this.refreshClaims(address);
+        return this.records(address).sort((a, b) => b.signedAt - a.signedAt);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            if (now - session.lastActivity < this.idleTimeoutMs) continue;
+            this.sessions.delete(session.id);
+            if (this.byAddress.get(session.address) === session.id) this.byAddress.delete(session.address);
+        }
+        this.records()
+            .filter(r => r.claimed && now - (r.claimedAt || r.signedAt) > CLAIMED_RETENTION_MS)
+            .forEach(r => this.store.delete('sessionRewards', r.sessionId));
+    }
+}
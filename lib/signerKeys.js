@@ -0,0 +1,220 @@
+// Coffee Chess - Trusted signer keys
+// Where the key that signs game results lives. Every source resolves to an
+// ethers.Signer that lib/signing.js can use (signMessage / _signTypedData):
+//   keystore  encrypted JSON keystore, unlocked once at boot
+//   remote    signing service over HTTP; scripts/signerService.js is a local stand-in
+//   env       plaintext private key - development and the local chains only
+// SignerRotation holds the current key and, while one is being rolled out, the
+// next. It keeps signing with whichever key the module's trustedSigner() names,
+// so the new key only takes over once an admin has called setTrustedSigner.
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
+
+export class SignerConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignerConfigError';
+    }
+}
+
+// ============ REMOTE ============
+// The service never hands out the key; every signature it returns is recovered
+// locally and refused unless it comes from the address it announced.
+export class RemoteSigner extends ethers.Signer {
+    /**
+     * @param {object} opts
+     * @param {string} opts.url  service base URL
+     * @param {string} [opts.token]  sent as a bearer token
+     * @param {number} [opts.timeoutMs]
+     */
+    constructor({ url, token = null, timeoutMs = 10000 }) {
+        super();
+        this.url = url.replace(/\/+$/, '');
+        this.token = token;
+        this.timeoutMs = timeoutMs;
+        this.address = null;
+    }
+
+    async request(path, body = null) {
+        const res = await fetch(`${this.url}${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(`Remote signer ${path} failed (${res.status}): ${data.error || res.statusText}`);
+        return data;
+    }
+
+    async getAddress() {
+        if (!this.address) this.address = ethers.utils.getAddress((await this.request('/address')).address);
+        return this.address;
+    }
+
+    async signMessage(message) {
+        const bytes = typeof message === 'string' ? ethers.utils.toUtf8Bytes(message) : message;
+        const { signature } = await this.request('/sign-message', { message: ethers.utils.hexlify(bytes) });
+        this.assertSignedBy(ethers.utils.verifyMessage(bytes, signature));
+        return signature;
+    }
+
+    async _signTypedData(domain, types, value) {
+        const { signature } = await this.request('/sign-typed-data', { domain, types, value });
+        this.assertSignedBy(ethers.utils.verifyTypedData(domain, types, value, signature));
+        return signature;
+    }
+
+    assertSignedBy(recovered) {
+        if (recovered !== this.address) {
+            throw new Error(`Remote signer returned a signature from ${recovered}, expected ${this.address}`);
+        }
+    }
+
+    signTransaction() {
+        throw new Error('Remote signer only signs game results');
+    }
+
+    connect() {
+        throw new Error('Remote signer cannot be connected to a provider');
+    }
+}
+
+// ============ LOADING ============
+/**
+ * One key from whichever source is configured (first match wins).
+ * Resolves to { source, signer, address }, or null when nothing is configured.
+ * @param {object} opts
+ * @param {string} [opts.keystore]  path to an encrypted JSON keystore
+ * @param {string} [opts.password]  keystore password
+ * @param {string} [opts.passwordFile]  file holding the password (e.g. a mounted secret)
+ * @param {string} [opts.url]  remote signer base URL
+ * @param {string} [opts.token]  remote signer bearer token
+ * @param {string} [opts.privateKey]  plaintext key
+ */
+export async function loadSignerKey({ keystore, password, passwordFile, url, token, privateKey }) {
+    let source;
+    let signer;
+    if (keystore) {
+        const secret = password ?? (passwordFile ? fs.readFileSync(passwordFile, 'utf8').trim() : null);
+        if (secret === null) throw new SignerConfigError(`Keystore ${keystore} needs a password (SIGNER_KEYSTORE_PASSWORD or SIGNER_KEYSTORE_PASSWORD_FILE)`);
+        try {
+            signer = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystore, 'utf8'), secret);
+        } catch (error) {
+            throw new SignerConfigError(`Could not unlock keystore ${keystore}: ${error.message}`);
+        }
+        source = 'keystore';
+    } else if (url) {
+        signer = new RemoteSigner({ url, token });
+        source = 'remote';
+    } else if (privateKey) {
+        signer = new ethers.Wallet(privateKey);
+        source = 'env';
+    } else {
+        return null;
+    }
+    return { source, signer, address: await signer.getAddress() };
+}
+
+// ============ ROTATION ============
+// Stable signer handed to lib/signing.js; every call goes to the key that is
+// active right now
+class ActiveKeySigner extends ethers.Signer {
+    constructor(rotation) {
+        super();
+        this.rotation = rotation;
+    }
+
+    getAddress() {
+        return Promise.resolve(this.rotation.active.address);
+    }
+
+    signMessage(message) {
+        return this.rotation.active.signer.signMessage(message);
+    }
+
+    _signTypedData(domain, types, value) {
+        return this.rotation.active.signer._signTypedData(domain, types, value);
+    }
+
+    signTransaction() {
+        throw new Error('The result signer does not send transactions');
+    }
+
+    connect() {
+        throw new Error('The result signer cannot be connected to a provider');
+    }
+}
+
+export class SignerRotation extends EventEmitter {
+    /**
+     * @param {object} opts
+     * @param {{source: string, signer: ethers.Signer, address: string}} opts.current
+     * @param {{source: string, signer: ethers.Signer, address: string}} [opts.next]  key being rolled out
+     * @param {ethers.Contract} opts.contract  module exposing trustedSigner()
+     * @param {number} [opts.checkIntervalMs]
+     */
+    constructor({ current, next = null, contract, checkIntervalMs = 5 * 60 * 1000 }) {
+        super();
+        this.keys = [{ label: 'current', ...current }];
+        if (next) this.keys.push({ label: 'next', ...next });
+        this.active = this.keys[0];
+        this.contract = contract;
+        this.checkIntervalMs = checkIntervalMs;
+        this.onChainSigner = null;
+        this.checkedAt = null;
+        this.timer = null;
+        this.signer = new ActiveKeySigner(this);
+    }
+
+    async start() {
+        await this.check();
+        this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async check() {
+        let onChain;
+        try {
+            onChain = ethers.utils.getAddress(await this.contract.trustedSigner());
+        } catch (error) {
+            console.warn(`⚠️ Could not read trustedSigner() for key rotation: ${error.reason || error.message}`);
+            return;
+        }
+        const changed = onChain !== this.onChainSigner;
+        this.onChainSigner = onChain;
+        this.checkedAt = Date.now();
+
+        const match = this.keys.find(key => key.address === onChain);
+        if (!match) {
+            if (changed) {
+                console.error(`❌ CRITICAL: on-chain trustedSigner ${onChain} is none of our keys (${this.keys.map(k => k.address).join(', ')}); still signing with ${this.active.address}, claims will revert`);
+                this.emit('mismatch', onChain);
+            }
+            return;
+        }
+        if (match !== this.active) {
+            const previous = this.active;
+            this.active = match;
+            console.log(`🔑 trustedSigner rotated on-chain: signing with the ${match.label} key ${match.address} (was ${previous.address})`);
+            this.emit('rotated', { from: previous.address, to: match.address });
+        }
+    }
+
+    status() {
+        return {
+            active: this.active.address,
+            onChain: this.onChainSigner,
+            checkedAt: this.checkedAt,
+            keys: this.keys.map(({ label, source, address }) => ({ label, source, address }))
+        };
+    }
+}
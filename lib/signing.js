@@ -0,0 +1,215 @@
+// Coffee Chess - Result signing adapters
+// Each escrow contract version verifies the trusted signer's signature in its
+// own way. The adapter for the configured version builds exactly the digest
+// that contract recovers, and can re-derive it independently to check a
+// signature offline before anyone submits it on-chain.
+import { ethers } from 'ethers';
+
+const { solidityKeccak256, arrayify, hashMessage, recoverAddress, _TypedDataEncoder } = ethers.utils;
+
+// Claim kinds understood by the contracts, mapped to their on-chain prefix
+export const CLAIM_PREFIXES = {
+    gameWin: 'GAME_WIN',
+    gameDraw: 'GAME_DRAW',
+    battleWin: 'BATTLE_WIN',
+    battleDraw: 'BATTLE_DRAW'
+};
+
+// ============ SCHEME: eth_sign over abi.encodePacked ============
+// CoffyAuxiliaryV2 / V5: keccak256(abi.encodePacked(prefix, id, claimer, chainid, this))
+// prefixed with "\x19Ethereum Signed Message:\n32" (toEthSignedMessageHash).
+const ethSignScheme = {
+    name: 'eth_sign-packed',
+
+    claimHash(prefix, id, claimer, ctx) {
+        return solidityKeccak256(
+            ['string', 'uint256', 'address', 'uint256', 'address'],
+            [prefix, id, claimer, ctx.chainId, ctx.contractAddress]
+        );
+    },
+
+    quickMatchHash(queueId1, queueId2, ctx) {
+        return solidityKeccak256(
+            ['string', 'uint256', 'uint256', 'uint256', 'address'],
+            ['QUICK_MATCH', queueId1, queueId2, ctx.chainId, ctx.contractAddress]
+        );
+    },
+
+    sessionRewardHash(sessionId, player, amount, ctx) {
+        return solidityKeccak256(
+            ['string', 'bytes32', 'address', 'uint256', 'uint256', 'address'],
+            ['SESSION_REWARD', sessionId, player, amount, ctx.chainId, ctx.contractAddress]
+        );
+    },
+
+    async sign(wallet, messageHash) {
+        return wallet.signMessage(arrayify(messageHash));
+    },
+
+    // Same steps as the contract: toEthSignedMessageHash, then ecrecover
+    recover(messageHash, signature) {
+        return recoverAddress(hashMessage(arrayify(messageHash)), signature);
+    }
+};
+
+// ============ SCHEME: EIP-712 typed data ============
+// The EIP-712 module (DOMAIN_SEPARATOR in coffytokenvemodülabi.js) verifies
+// GameWin(id, winner) / GameDraw(id) typed data. It has no battle, quick-match
+// or session claims.
+const EIP712_TYPES = {
+    GAME_WIN: { GameWin: [{ name: 'id', type: 'uint256' }, { name: 'winner', type: 'address' }] },
+    GAME_DRAW: { GameDraw: [{ name: 'id', type: 'uint256' }] }
+};
+
+const eip712Scheme = {
+    name: 'eip712',
+
+    domain(ctx) {
+        return { name: 'Coffy', version: '1', chainId: ctx.chainId, verifyingContract: ctx.contractAddress };
+    },
+
+    typedClaim(prefix, id, claimer) {
+        const types = EIP712_TYPES[prefix];
+        if (!types) throw new Error(`EIP-712 module does not support ${prefix} claims`);
+        const value = prefix === 'GAME_WIN'
+            ? { id: ethers.BigNumber.from(id), winner: claimer }
+            : { id: ethers.BigNumber.from(id) };
+        return { types, value };
+    },
+
+    claimHash(prefix, id, claimer, ctx) {
+        const { types, value } = this.typedClaim(prefix, id, claimer);
+        return _TypedDataEncoder.hash(this.domain(ctx), types, value);
+    },
+
+    quickMatchHash() {
+        throw new Error('EIP-712 module does not support QUICK_MATCH signatures');
+    },
+
+    sessionRewardHash() {
+        throw new Error('EIP-712 module does not support SESSION_REWARD signatures');
+    },
+
+    async sign(wallet, digest, typed, ctx) {
+        return wallet._signTypedData(this.domain(ctx), typed.types, typed.value);
+    },
+
+    recover(digest, signature) {
+        return recoverAddress(digest, signature);
+    }
+};
+
+// Contract version -> signature scheme
+export const SCHEMES_BY_VERSION = {
+    v2: ethSignScheme,
+    v5: ethSignScheme,
+    eip712: eip712Scheme
+};
+
+/**
+ * Build a signer for one escrow contract.
+ * @param {object} opts
+ * @param {string} opts.version  key of SCHEMES_BY_VERSION
+ * @param {ethers.Signer} opts.wallet  signer holding the trusted key
+ * @param {number} opts.chainId
+ * @param {string} opts.contractAddress  escrow contract that will verify the signature
+ */
+export function createResultSigner({ version, wallet, chainId, contractAddress }) {
+    const scheme = SCHEMES_BY_VERSION[version];
+    if (!scheme) {
+        throw new Error(`Unknown contract version "${version}" (expected one of: ${Object.keys(SCHEMES_BY_VERSION).join(', ')})`);
+    }
+    const ctx = { chainId: Number(chainId), contractAddress: ethers.utils.getAddress(contractAddress) };
+
+    async function signClaim(prefix, id, claimer) {
+        const checksumClaimer = ethers.utils.getAddress(claimer);
+        const digest = scheme.claimHash(prefix, id, checksumClaimer, ctx);
+        const typed = scheme === eip712Scheme ? scheme.typedClaim(prefix, id, checksumClaimer) : null;
+        return scheme.sign(wallet, digest, typed, ctx);
+    }
+
+    return {
+        version,
+        scheme: scheme.name,
+        chainId: ctx.chainId,
+        contractAddress: ctx.contractAddress,
+
+        getAddress: () => wallet.getAddress(),
+
+        signGameWin: (gameId, winner) => signClaim(CLAIM_PREFIXES.gameWin, gameId, winner),
+        signGameDraw: (gameId, claimer) => signClaim(CLAIM_PREFIXES.gameDraw, gameId, claimer),
+        signBattleWin: (battleId, winner) => signClaim(CLAIM_PREFIXES.battleWin, battleId, winner),
+        signBattleDraw: (battleId, claimer) => signClaim(CLAIM_PREFIXES.battleDraw, battleId, claimer),
+
+        async signQuickMatch(queueId1, queueId2) {
+            return scheme.sign(wallet, scheme.quickMatchHash(queueId1, queueId2, ctx), null, ctx);
+        },
+
+        async signSessionReward(sessionId, player, amount) {
+            const hash = scheme.sessionRewardHash(sessionId, ethers.utils.getAddress(player), amount, ctx);
+            return scheme.sign(wallet, hash, null, ctx);
+        },
+
+        // Address the contract would recover for a claim signature
+        recoverClaim(prefix, id, claimer, signature) {
+            return scheme.recover(scheme.claimHash(prefix, id, ethers.utils.getAddress(claimer), ctx), signature);
+        },
+
+        recoverQuickMatch(queueId1, queueId2, signature) {
+            return scheme.recover(scheme.quickMatchHash(queueId1, queueId2, ctx), signature);
+        },
+
+        recoverSessionReward(sessionId, player, amount, signature) {
+            return scheme.recover(scheme.sessionRewardHash(sessionId, ethers.utils.getAddress(player), amount, ctx), signature);
+        },
+
+        supports(prefix) {
+            try {
+                if (prefix === 'QUICK_MATCH') scheme.quickMatchHash(1, 2, ctx);
+                else if (prefix === 'SESSION_REWARD') scheme.sessionRewardHash(ethers.constants.HashZero, ethers.constants.AddressZero, 1, ctx);
+                else scheme.claimHash(prefix, 1, ethers.constants.AddressZero, ctx);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+    };
+}
+
+/**
+ * Sign sample claims and recover them offline exactly as the contract would.
+ * Resolves to { ok, signer, expected, results[] }; `expected` defaults to the
+ * signer's own address but should be the on-chain trustedSigner when known.
+ */
+export async function selfTestSigner(resultSigner, expectedSigner) {
+    const signerAddress = await resultSigner.getAddress();
+    const expected = (expectedSigner || signerAddress).toLowerCase();
+    const sampleId = 1;
+    const claimer = '0x000000000000000000000000000000000000c0ff';
+    const results = [];
+
+    const cases = [
+        ['GAME_WIN', () => resultSigner.signGameWin(sampleId, claimer), sig => resultSigner.recoverClaim('GAME_WIN', sampleId, claimer, sig)],
+        ['GAME_DRAW', () => resultSigner.signGameDraw(sampleId, claimer), sig => resultSigner.recoverClaim('GAME_DRAW', sampleId, claimer, sig)],
+        ['BATTLE_WIN', () => resultSigner.signBattleWin(sampleId, claimer), sig => resultSigner.recoverClaim('BATTLE_WIN', sampleId, claimer, sig)],
+        ['BATTLE_DRAW', () => resultSigner.signBattleDraw(sampleId, claimer), sig => resultSigner.recoverClaim('BATTLE_DRAW', sampleId, claimer, sig)],
+        ['QUICK_MATCH', () => resultSigner.signQuickMatch(1, 2), sig => resultSigner.recoverQuickMatch(1, 2, sig)],
+        ['SESSION_REWARD', () => resultSigner.signSessionReward(ethers.utils.id('self-test'), claimer, 1), sig => resultSigner.recoverSessionReward(ethers.utils.id('self-test'), claimer, 1, sig)]
+    ];
+
+    for (const [prefix, sign, recover] of cases) {
+        if (!resultSigner.supports(prefix)) {
+            results.push({ prefix, supported: false });
+            continue;
+        }
+        const recovered = recover(await sign()).toLowerCase();
+        results.push({ prefix, supported: true, ok: recovered === expected, recovered });
+    }
+
+    return {
+        ok: results.every(r => !r.supported || r.ok),
+        signer: signerAddress,
+        expected,
+        results
+    };
+}
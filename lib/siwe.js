@@ -0,0 +1,159 @@
+// Coffee Chess - Sign-In with Ethereum (EIP-4361)
+// The client signs a standard SIWE message containing a server-issued nonce;
+// the Socket.IO connection middleware verifies it with ethers.utils.verifyMessage
+// and binds the socket to the recovered wallet. A short-lived auth token is
+// then issued so Socket.IO's automatic reconnects don't need a new signature.
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+const AUTH_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_OUTSTANDING_NONCES = 10000;
+
+export class SiweError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SiweError';
+    }
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const FIELD_NAMES = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+};
+
+// Parse the EIP-4361 text format into its fields
+export function parseSiweMessage(text) {
+    if (typeof text !== 'string' || text.length > 4096) throw new SiweError('Invalid SIWE message');
+    const lines = text.split('\n');
+
+    if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) throw new SiweError('Missing SIWE header');
+    const domain = lines[0].slice(0, -HEADER_SUFFIX.length);
+    const address = lines[1];
+    if (!ethers.utils.isAddress(address || '')) throw new SiweError('Invalid address in SIWE message');
+
+    const fields = { domain, address, statement: null, resources: [] };
+    let i = 2;
+    if (lines[i] === '') i++;
+    // Optional statement, followed by a blank line
+    if (lines[i] !== undefined && !lines[i].startsWith('URI: ')) {
+        fields.statement = lines[i];
+        i += 2;
+    }
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+        if (line === 'Resources:') {
+            fields.resources = lines.slice(i + 1).map(r => r.replace(/^- /, ''));
+            break;
+        }
+        const sep = line.indexOf(': ');
+        if (sep === -1) continue;
+        const key = FIELD_NAMES[line.slice(0, sep)];
+        if (key) fields[key] = line.slice(sep + 2);
+    }
+
+    if (fields.version !== '1') throw new SiweError('Unsupported SIWE version');
+    if (!fields.uri || !fields.nonce || !fields.issuedAt || !fields.chainId) {
+        throw new SiweError('SIWE message is missing required fields');
+    }
+    fields.chainId = Number(fields.chainId);
+    return fields;
+}
+
+// Single-use nonces with a TTL
+export class NonceStore {
+    constructor() {
+        this.nonces = new Map(); // nonce -> expiresAt
+    }
+
+    issue() {
+        if (this.nonces.size >= MAX_OUTSTANDING_NONCES) this.purge();
+        const nonce = crypto.randomBytes(16).toString('hex');
+        this.nonces.set(nonce, Date.now() + NONCE_TTL_MS);
+        return nonce;
+    }
+
+    consume(nonce) {
+        const expiresAt = this.nonces.get(nonce);
+        this.nonces.delete(nonce);
+        return !!expiresAt && expiresAt > Date.now();
+    }
+
+    purge() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.nonces.entries()) {
+            if (expiresAt <= now) this.nonces.delete(nonce);
+        }
+    }
+}
+
+// Opaque tokens handed out after a successful SIWE login
+export class AuthSessions {
+    constructor() {
+        this.tokens = new Map(); // token -> { address, expiresAt }
+    }
+
+    issue(address) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + AUTH_TOKEN_TTL_MS;
+        this.tokens.set(token, { address: address.toLowerCase(), expiresAt });
+        return { token, expiresAt };
+    }
+
+    resolve(token) {
+        const session = typeof token === 'string' ? this.tokens.get(token) : null;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.tokens.delete(token);
+            return null;
+        }
+        return session.address;
+    }
+
+    purge() {
+        const now = Date.now();
+        for (const [token, session] of this.tokens.entries()) {
+            if (session.expiresAt <= now) this.tokens.delete(token);
+        }
+    }
+}
+
+/**
+ * Verify a signed SIWE message. Returns the lowercase wallet address.
+ * @param {object} opts
+ * @param {string} opts.message  EIP-4361 message text
+ * @param {string} opts.signature  personal_sign signature over `message`
+ * @param {NonceStore} opts.nonces
+ * @param {string[]} opts.domains  acceptable `domain` values (host[:port])
+ * @param {number} opts.chainId
+ */
+export function verifySiweLogin({ message, signature, nonces, domains, chainId }) {
+    const fields = parseSiweMessage(message);
+    const now = Date.now();
+
+    if (!domains.includes(fields.domain)) throw new SiweError(`Domain ${fields.domain} is not allowed`);
+    if (fields.chainId !== Number(chainId)) throw new SiweError(`Wrong chain ID ${fields.chainId}`);
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) throw new SiweError('SIWE message expired');
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) throw new SiweError('SIWE message not yet valid');
+
+    let recovered;
+    try {
+        recovered = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+        throw new SiweError('Malformed signature');
+    }
+    if (recovered.toLowerCase() !== fields.address.toLowerCase()) throw new SiweError('Signature does not match address');
+
+    // Consume last so a bad signature can't burn someone else's nonce
+    if (!nonces.consume(fields.nonce)) throw new SiweError('Unknown or expired nonce');
+
+    return recovered.toLowerCase();
+}
@@ -0,0 +1,172 @@
+// Coffee Chess - Pluggable persistence layer
+// Every backend exposes the same small, synchronous namespace/key/value API so
+// the socket handlers can snapshot state inline without awaiting I/O:
+//   get(ns, key)  set(ns, key, value)  delete(ns, key)  list(ns)  close()
+// Values must be JSON-serializable.
+import fs from 'fs';
+import { dirname } from 'path';
+
+// ============ IN-MEMORY ============
+// Default backend. Nothing survives a restart - useful for tests and local dev.
+export class MemoryStore {
+    constructor() {
+        this.kind = 'memory';
+        this.data = new Map(); // ns -> Map(key -> value)
+    }
+
+    _ns(ns) {
+        if (!this.data.has(ns)) this.data.set(ns, new Map());
+        return this.data.get(ns);
+    }
+
+    get(ns, key) {
+        const value = this._ns(ns).get(String(key));
+        return value === undefined ? null : structuredClone(value);
+    }
+
+    set(ns, key, value) {
+        this._ns(ns).set(String(key), structuredClone(value));
+    }
+
+    delete(ns, key) {
+        this._ns(ns).delete(String(key));
+    }
+
+    list(ns) {
+        return Array.from(this._ns(ns).entries()).map(([key, value]) => ({ key, value: structuredClone(value) }));
+    }
+
+    close() { }
+}
+
+// ============ JSON FILE ============
+// Whole store lives in one JSON document that is rewritten atomically
+// (write to .tmp, then rename). Changes are batched: the file is written at most
+// once per flushDelayMs, and close() writes whatever is still pending.
+export class JsonFileStore extends MemoryStore {
+    constructor(filePath, { flushDelayMs = 250 } = {}) {
+        super();
+        this.kind = 'json';
+        this.filePath = filePath;
+        this.flushDelayMs = flushDelayMs;
+        this.flushTimer = null;
+
+        fs.mkdirSync(dirname(filePath), { recursive: true });
+        if (fs.existsSync(filePath)) {
+            const raw = JSON.parse(fs.readFileSync(filePath, 'utf8') || '{}');
+            for (const [ns, entries] of Object.entries(raw)) {
+                this.data.set(ns, new Map(Object.entries(entries)));
+            }
+        }
+    }
+
+    _scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this._flush(), this.flushDelayMs);
+    }
+
+    _flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        const out = {};
+        this.data.forEach((entries, ns) => {
+            out[ns] = Object.fromEntries(entries);
+        });
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(out));
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    set(ns, key, value) {
+        super.set(ns, key, value);
+        this._scheduleFlush();
+    }
+
+    delete(ns, key) {
+        super.delete(ns, key);
+        this._scheduleFlush();
+    }
+
+    close() {
+        if (this.flushTimer) this._flush();
+    }
+}
+
+// ============ SQLITE ============
+// Uses the built-in node:sqlite module (Node 22+) and falls back to
+// better-sqlite3 (an optional dependency, so Node 20 has it unless its native
+// build failed). Both expose the same prepare/run/get/all API.
+export class SqliteStore {
+    constructor(db) {
+        this.kind = 'sqlite';
+        this.db = db;
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS kv (
+                ns TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (ns, key)
+            )
+        `);
+        this.stmts = {
+            get: db.prepare('SELECT value FROM kv WHERE ns = ? AND key = ?'),
+            set: db.prepare(`INSERT INTO kv (ns, key, value, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(ns, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+            delete: db.prepare('DELETE FROM kv WHERE ns = ? AND key = ?'),
+            list: db.prepare('SELECT key, value FROM kv WHERE ns = ? ORDER BY key')
+        };
+    }
+
+    static async open(filePath) {
+        fs.mkdirSync(dirname(filePath), { recursive: true });
+        let db;
+        try {
+            const { DatabaseSync } = await import('node:sqlite');
+            db = new DatabaseSync(filePath);
+        } catch (builtinError) {
+            try {
+                const { default: Database } = await import('better-sqlite3');
+                db = new Database(filePath);
+            } catch (error) {
+                throw new Error(`SQLite backend needs Node 22+ (node:sqlite) or the better-sqlite3 package, which failed to load: ${error.message}`);
+            }
+        }
+        return new SqliteStore(db);
+    }
+
+    get(ns, key) {
+        const row = this.stmts.get.get(ns, String(key));
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    set(ns, key, value) {
+        this.stmts.set.run(ns, String(key), JSON.stringify(value), Date.now());
+    }
+
+    delete(ns, key) {
+        this.stmts.delete.run(ns, String(key));
+    }
+
+    list(ns) {
+        return this.stmts.list.all(ns).map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Build the backend named by `kind` ('memory' | 'json' | 'sqlite')
+export async function createStore(kind = 'memory', filePath) {
+    switch (kind) {
+        case 'memory':
+            return new MemoryStore();
+        case 'json':
+            return new JsonFileStore(filePath);
+        case 'sqlite':
+            return SqliteStore.open(filePath);
+        default:
+            throw new Error(`Unknown store backend: ${kind}`);
+    }
+}
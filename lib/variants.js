@@ -0,0 +1,453 @@
+// Coffee Chess - Chess variants
+// Variant rules on top of chess.js, shared by server.js and index.html. This
+// module doesn't import chess.js: each side passes its own Chess constructor
+// (the npm package on the server, the CDN build in the browser).
+//   standard        chess.js as it is
+//   chess960        one of 960 back ranks; castling by rook file, the king moves
+//                   to the g/c file and the rook next to it
+//   kingOfTheHill   a king that reaches d4, e4, d5 or e5 wins
+//   threeCheck      the third check wins
+// VariantChess answers the part of the chess.js API the game uses, so room.chess
+// and the client's board don't need to know which variant they hold. Its FEN is
+// plain FEN with Shredder-FEN castling (rook files, e.g. "HAha") in Chess960 and
+// a trailing "+W+B" count of checks given in Three-check. A Chess960 castling
+// move goes from the king to its own rook ("king takes rook"); the king's
+// destination square is accepted too when no other move goes there.
+export const VARIANTS = {
+    standard: { name: 'Standard' },
+    chess960: { name: 'Chess960' },
+    kingOfTheHill: { name: 'King of the Hill' },
+    threeCheck: { name: 'Three-check' }
+};
+
+export const STANDARD_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FILES = 'abcdefgh';
+const HILL = ['d4', 'e4', 'd5', 'e5'];
+const CHECKS_TO_WIN = 3;
+
+export class VariantError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VariantError';
+    }
+}
+
+export function parseVariant(value) {
+    const key = value ?? 'standard';
+    if (!Object.hasOwn(VARIANTS, key)) throw new VariantError(`Unknown variant "${value}" (expected ${Object.keys(VARIANTS).join(', ')})`);
+    return key;
+}
+
+// Back rank of Chess960 start position n (0-959, Scharnagl numbering; 518 is the standard one)
+export function chess960BackRank(n) {
+    const rank = Array(8).fill(null);
+    const empty = () => rank.flatMap((piece, i) => piece ? [] : [i]);
+    rank[2 * (n % 4) + 1] = 'b';
+    n = Math.floor(n / 4);
+    rank[2 * (n % 4)] = 'b';
+    n = Math.floor(n / 4);
+    rank[empty()[n % 6]] = 'q';
+    n = Math.floor(n / 6);
+    const free = empty();
+    [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]][n].forEach(i => { rank[free[i]] = 'n'; });
+    const [left, king, right] = empty();
+    rank[left] = 'r';
+    rank[king] = 'k';
+    rank[right] = 'r';
+    return rank.join('');
+}
+
+/**
+ * FEN a new game of `variant` starts from. Chess960 draws a random position
+ * unless `position` (0-959) is given.
+ */
+export function initialFen(variant, { position = null } = {}) {
+    if (variant === 'chess960') {
+        const n = position ?? Math.floor(Math.random() * 960);
+        if (!Number.isInteger(n) || n < 0 || n > 959) throw new VariantError('Chess960 position must be 0-959');
+        const rank = chess960BackRank(n);
+        const kingSide = FILES[rank.lastIndexOf('r')];
+        const queenSide = FILES[rank.indexOf('r')];
+        const castling = `${kingSide.toUpperCase()}${queenSide.toUpperCase()}${kingSide}${queenSide}`;
+        return `${rank}/pppppppp/8/8/8/8/PPPPPPPP/${rank.toUpperCase()} w ${castling} - 0 1`;
+    }
+    return variant === 'threeCheck' ? `${STANDARD_FEN} +0+0` : STANDARD_FEN;
+}
+
+/**
+ * A board for `variant`: chess.js itself for standard chess, VariantChess otherwise.
+ * @param {Function} Chess  chess.js constructor
+ * @param {string} [variant]
+ * @param {string} [fen]  start position (default: initialFen(variant))
+ */
+export function createChess(Chess, variant = 'standard', fen = null) {
+    if (variant === 'standard') return fen ? new Chess(fen) : new Chess();
+    return new VariantChess(Chess, variant, fen || initialFen(variant));
+}
+
+/**
+ * Check a custom start position for `variant` and return its FEN as the board
+ * writes it. Throws VariantError unless a game can start from it: one king a
+ * side, no pawns on the first or last rank, the side that just moved not in
+ * check, castling rights that match the king and rooks, and no result yet.
+ * @param {Function} Chess  chess.js constructor
+ * @param {string} variant
+ * @param {string} fen
+ */
+export function validateStartFen(Chess, variant, fen) {
+    if (typeof fen !== 'string' || fen.length > 100) throw new VariantError('Start position must be a FEN string');
+    let chess;
+    if (variant === 'standard') {
+        chess = new Chess();
+        if (!chess.load(fen.trim())) throw new VariantError(`Invalid FEN: ${chess.validate_fen(fen.trim()).error}`);
+    } else {
+        chess = new VariantChess(Chess, variant, fen);
+    }
+
+    const [placement, turn, castling] = chess.fen().split(' ');
+    const ranks = expandPlacement(placement);
+    if (placement.split('K').length !== 2 || placement.split('k').length !== 2) throw new VariantError('Each side needs exactly one king');
+    if (/p/i.test(ranks[0] + ranks[7])) throw new VariantError('Pawns cannot stand on the first or last rank');
+
+    const opponentToMove = new Chess();
+    opponentToMove.load(`${placement} ${turn === 'w' ? 'b' : 'w'} - - 0 1`);
+    if (opponentToMove.in_check()) throw new VariantError('The side that is not to move is in check');
+
+    // Chess960 rights were checked against the rooks by parseCastling
+    if (variant !== 'chess960' && castling !== '-') {
+        const hasRight = letter => {
+            const row = ranks[letter === letter.toUpperCase() ? 7 : 0];
+            const [king, rook] = letter === letter.toUpperCase() ? ['K', 'R'] : ['k', 'r'];
+            return row[4] === king && row[letter.toLowerCase() === 'k' ? 7 : 0] === rook;
+        };
+        if (![...castling].every(hasRight)) throw new VariantError('Castling rights need the king and rook on their starting squares');
+    }
+
+    if (chess.game_over()) throw new VariantError('The game is already over in this position');
+    return chess.fen();
+}
+
+// Win decided by a variant rule ({ winner, reason }), or null. Works on plain chess.js too.
+export function variantResult(chess) {
+    return typeof chess.variant_result === 'function' ? chess.variant_result() : null;
+}
+
+// FEN piece placement <-> eight 8-character ranks ('.' = empty), rank 8 first
+function expandPlacement(placement) {
+    return placement.split('/').map(row => row.replace(/\d/g, d => '.'.repeat(Number(d))));
+}
+
+function compressPlacement(ranks) {
+    return ranks.map(row => row.replace(/\.+/g, dots => String(dots.length))).join('/');
+}
+
+// Chess960 castling field -> { w: { k, q }, b: { k, q } } with the rook file of
+// each right. Accepts Shredder-FEN files and KQkq (outermost rook on that side).
+function parseCastling(placement, field) {
+    const rights = { w: { k: null, q: null }, b: { k: null, q: null } };
+    if (field === '-') return rights;
+    const ranks = expandPlacement(placement);
+    for (const letter of field) {
+        const color = letter === letter.toUpperCase() ? 'w' : 'b';
+        const row = ranks[color === 'w' ? 7 : 0] || '';
+        const rook = color === 'w' ? 'R' : 'r';
+        const king = row.indexOf(color === 'w' ? 'K' : 'k');
+        const code = letter.toLowerCase();
+        const file = code === 'k' ? row.lastIndexOf(rook) : code === 'q' ? row.indexOf(rook) : FILES.indexOf(code);
+        if (king < 0 || file < 0 || row[file] !== rook || file === king) return null;
+        rights[color][file > king ? 'k' : 'q'] = FILES[file];
+    }
+    return rights;
+}
+
+export class VariantChess {
+    /**
+     * @param {Function} Chess  chess.js constructor
+     * @param {string} variant  a VARIANTS key other than standard
+     * @param {string} fen
+     */
+    constructor(Chess, variant, fen) {
+        this.Chess = Chess;
+        this.variant = parseVariant(variant);
+        if (!this.load(fen)) throw new VariantError(`Invalid ${VARIANTS[this.variant].name} FEN: ${fen}`);
+    }
+
+    // { position, castling, checks } for a variant FEN, or null. position is a
+    // chess.js board of the same position; in Chess960 it has no castling rights
+    // (castling is generated here).
+    parse(fen) {
+        const fields = String(fen).trim().split(/\s+/);
+        let checks = { w: 0, b: 0 };
+        if (this.variant === 'threeCheck' && fields.length === 7) {
+            const match = fields.pop().match(/^\+(\d+)\+(\d+)$/);
+            if (!match) return null;
+            checks = { w: Number(match[1]), b: Number(match[2]) };
+        }
+        if (fields.length !== 6) return null;
+
+        let castling = null;
+        if (this.variant === 'chess960') {
+            castling = parseCastling(fields[0], fields[2]);
+            if (!castling) return null;
+            fields[2] = '-';
+        }
+        const position = new this.Chess();
+        if (!position.load(fields.join(' '))) return null;
+        return { position, castling, checks };
+    }
+
+    load(fen) {
+        const state = this.parse(fen);
+        if (!state) return false;
+        Object.assign(this, state);
+        this.stack = []; // { fen, move } for every move played since `startFen`
+        this.startFen = this.fen();
+        return true;
+    }
+
+    reset() {
+        return this.load(this.startFen);
+    }
+
+    fen() {
+        const fields = this.position.fen().split(' ');
+        if (this.variant === 'chess960') {
+            const { w, b } = this.castling;
+            fields[2] = [w.k, w.q].filter(Boolean).map(f => f.toUpperCase()).join('') +
+                [b.k, b.q].filter(Boolean).join('') || '-';
+        }
+        if (this.variant === 'threeCheck') fields.push(`+${this.checks.w}+${this.checks.b}`);
+        return fields.join(' ');
+    }
+
+    turn() { return this.position.turn(); }
+    get(square) { return this.position.get(square); }
+    board() { return this.position.board(); }
+    ascii() { return this.position.ascii(); }
+    in_check() { return this.position.in_check(); }
+
+    // ============ RESULTS ============
+    // { winner: 'white' | 'black', reason } once a variant rule has decided the game
+    variant_result() {
+        if (this.variant === 'kingOfTheHill') {
+            const king = HILL.map(square => this.position.get(square)).find(piece => piece?.type === 'k');
+            if (king) return { winner: king.color === 'w' ? 'white' : 'black', reason: 'king of the hill' };
+        }
+        if (this.variant === 'threeCheck') {
+            const color = ['w', 'b'].find(c => this.checks[c] >= CHECKS_TO_WIN);
+            if (color) return { winner: color === 'w' ? 'white' : 'black', reason: 'three checks' };
+        }
+        return null;
+    }
+
+    in_checkmate() {
+        return !this.variant_result() && this.position.in_checkmate();
+    }
+
+    in_stalemate() {
+        return !this.variant_result() && this.position.in_stalemate() && this.castlingMoves().length === 0;
+    }
+
+    // A bare king still wins the hill, and any piece can still give checks
+    insufficient_material() {
+        if (this.variant === 'kingOfTheHill') return false;
+        if (this.variant === 'threeCheck') return !/[^kK\d/]/.test(this.fen().split(' ')[0]);
+        return this.position.insufficient_material();
+    }
+
+    in_threefold_repetition() {
+        const key = fen => fen.split(' ').filter((field, i) => i !== 4 && i !== 5).join(' ');
+        const current = key(this.fen());
+        return this.stack.filter(entry => key(entry.fen) === current).length >= 2;
+    }
+
+    in_draw() {
+        return Number(this.fen().split(' ')[4]) >= 100 || this.in_stalemate() ||
+            this.insufficient_material() || this.in_threefold_repetition();
+    }
+
+    game_over() {
+        return !!this.variant_result() || this.in_checkmate() || this.in_draw();
+    }
+
+    // ============ MOVES ============
+    moves({ square, verbose = false } = {}) {
+        if (this.variant_result()) return [];
+        const moves = this.position.moves(square ? { square, verbose: true } : { verbose: true })
+            .concat(this.castlingMoves().filter(move => !square || move.from === square));
+        return verbose ? moves : moves.map(move => move.san);
+    }
+
+    // Legal Chess960 castling moves of the side to move. The squares between
+    // king, rook and their destinations must be empty (but for those two), and
+    // the king may not be in check, pass through an attacked square or land on one.
+    castlingMoves() {
+        if (this.variant !== 'chess960' || this.position.in_check()) return [];
+        const color = this.position.turn();
+        const rank = color === 'w' ? '1' : '8';
+        const row = expandPlacement(this.position.fen().split(' ')[0])[color === 'w' ? 7 : 0];
+        const kingChar = color === 'w' ? 'K' : 'k';
+        const king = row.indexOf(kingChar);
+
+        const moves = [];
+        for (const side of ['k', 'q']) {
+            const rookFile = this.castling[color][side];
+            if (!rookFile || king < 0) continue;
+            const rook = FILES.indexOf(rookFile);
+            const kingTo = side === 'k' ? 6 : 2;
+            const rookTo = side === 'k' ? 5 : 3;
+
+            const lo = Math.min(king, rook, kingTo, rookTo);
+            const hi = Math.max(king, rook, kingTo, rookTo);
+            let clear = true;
+            for (let f = lo; f <= hi; f++) {
+                if (f !== king && f !== rook && row[f] !== '.') clear = false;
+            }
+            if (!clear) continue;
+
+            // Both pieces lifted off the back rank
+            const lifted = row.split('');
+            lifted[king] = '.';
+            lifted[rook] = '.';
+            const step = Math.sign(kingTo - king);
+            let safe = true;
+            for (let f = king + step; step !== 0 && f !== kingTo; f += step) {
+                const passing = lifted.slice();
+                passing[f] = kingChar;
+                if (this.inCheckWith(passing.join(''))) safe = false;
+            }
+            const castled = lifted.slice();
+            castled[kingTo] = kingChar;
+            castled[rookTo] = row[rook];
+            if (!safe || this.inCheckWith(castled.join(''))) continue;
+
+            const after = new this.Chess(this.castledFen(castled.join('')));
+            const san = (side === 'k' ? 'O-O' : 'O-O-O') + (after.in_checkmate() ? '#' : after.in_check() ? '+' : '');
+            moves.push({ color, from: FILES[king] + rank, to: rookFile + rank, piece: 'k', flags: side, san });
+        }
+        return moves;
+    }
+
+    // Is the side to move in check once its back rank is `row`?
+    inCheckWith(row) {
+        const [placement, turn] = this.position.fen().split(' ');
+        const ranks = expandPlacement(placement);
+        ranks[turn === 'w' ? 7 : 0] = row;
+        const probe = new this.Chess();
+        return !probe.load(`${compressPlacement(ranks)} ${turn} - - 0 1`) || probe.in_check();
+    }
+
+    // chess.js FEN after castling into back rank `row` (opponent to move)
+    castledFen(row) {
+        const [placement, turn, , , halfmoves, fullmove] = this.position.fen().split(' ');
+        const ranks = expandPlacement(placement);
+        ranks[turn === 'w' ? 7 : 0] = row;
+        const next = turn === 'w' ? 'b' : 'w';
+        return `${compressPlacement(ranks)} ${next} - - ${Number(halfmoves) + 1} ${Number(fullmove) + (turn === 'b' ? 1 : 0)}`;
+    }
+
+    // The castling move `input` asks for (SAN, king-takes-rook, or the king's g/c square)
+    findCastling(input) {
+        const castles = this.castlingMoves();
+        if (castles.length === 0) return null;
+        if (typeof input === 'string') {
+            const san = input.replace(/[+#]+$/, '').replace(/0/g, 'O');
+            return castles.find(move => move.san.replace(/[+#]+$/, '') === san) || null;
+        }
+        const { from, to } = input || {};
+        const direct = castles.find(move => move.from === from && move.to === to);
+        if (direct) return direct;
+        const kingTo = (move) => (move.flags === 'k' ? 'g' : 'c') + move.from[1];
+        const castle = castles.find(move => move.from === from && kingTo(move) === to);
+        const normal = this.position.moves({ square: from, verbose: true }).some(move => move.to === to);
+        return castle && !normal ? castle : null;
+    }
+
+    move(input) {
+        if (this.variant_result()) return null;
+        const before = this.fen();
+        const castle = this.variant === 'chess960' ? this.findCastling(input) : null;
+
+        let move;
+        if (castle) {
+            const rank = castle.from[1];
+            const row = expandPlacement(this.position.fen().split(' ')[0])[rank === '1' ? 7 : 0].split('');
+            const kingChar = row[FILES.indexOf(castle.from[0])];
+            const rookChar = row[FILES.indexOf(castle.to[0])];
+            row[FILES.indexOf(castle.from[0])] = '.';
+            row[FILES.indexOf(castle.to[0])] = '.';
+            row[castle.flags === 'k' ? 6 : 2] = kingChar;
+            row[castle.flags === 'k' ? 5 : 3] = rookChar;
+            this.position = new this.Chess(this.castledFen(row.join('')));
+            move = castle;
+        } else {
+            move = this.position.move(input);
+            if (!move) return null;
+        }
+
+        if (this.variant === 'chess960') this.castling = this.castlingAfter(move);
+        if (this.variant === 'threeCheck' && this.position.in_check()) {
+            this.checks = { ...this.checks, [move.color]: this.checks[move.color] + 1 };
+        }
+        this.stack.push({ fen: before, move });
+        return move;
+    }
+
+    // A king move gives up both rights; a rook leaving or captured on its square gives up one
+    castlingAfter(move) {
+        const next = { w: { ...this.castling.w }, b: { ...this.castling.b } };
+        if (move.piece === 'k') next[move.color] = { k: null, q: null };
+        for (const color of ['w', 'b']) {
+            const rank = color === 'w' ? '1' : '8';
+            for (const side of ['k', 'q']) {
+                const square = next[color][side] && next[color][side] + rank;
+                if (square && (move.from === square || move.to === square)) next[color][side] = null;
+            }
+        }
+        return next;
+    }
+
+    undo() {
+        const last = this.stack.pop();
+        if (!last) return null;
+        Object.assign(this, this.parse(last.fen));
+        return last.move;
+    }
+
+    history({ verbose = false } = {}) {
+        return this.stack.map(entry => verbose ? entry.move : entry.move.san);
+    }
+
+    // ============ PGN ============
+    pgn() {
+        const [, turn, , , , fullmove] = this.startFen.split(' ');
+        const tokens = [];
+        let number = Number(fullmove);
+        let color = turn;
+        this.stack.forEach(({ move }, i) => {
+            if (color === 'w') tokens.push(`${number}.`);
+            else if (i === 0) tokens.push(`${number}...`);
+            tokens.push(move.san);
+            if (color === 'b') number++;
+            color = color === 'w' ? 'b' : 'w';
+        });
+        const headers = [`[Variant "${VARIANTS[this.variant].name}"]`, '[SetUp "1"]', `[FEN "${this.startFen}"]`];
+        return `${headers.join('\n')}\n\n${tokens.join(' ')}`;
+    }
+
+    // Replays a PGN written by pgn(); leaves the board as it was if a move doesn't replay
+    load_pgn(pgn) {
+        const text = String(pgn);
+        const fen = text.match(/\[FEN "([^"]+)"\]/)?.[1] || initialFen(this.variant);
+        const sans = text.replace(/\[[^\]]*\]/g, ' ').replace(/\{[^}]*\}/g, ' ').replace(/\d+\.+/g, ' ')
+            .split(/\s+/).filter(token => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+
+        const saved = { fen: this.fen(), startFen: this.startFen, stack: this.stack };
+        if (this.load(fen) && sans.every(san => this.move(san))) return true;
+        Object.assign(this, this.parse(saved.fen));
+        this.startFen = saved.startFen;
+        this.stack = saved.stack;
+        return false;
+    }
+}
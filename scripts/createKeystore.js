@@ -0,0 +1,27 @@
+// Coffee Chess - Encrypted signer keystore
+// Writes a JSON keystore for SIGNER_KEYSTORE / SIGNER_NEXT_KEYSTORE. With
+// KEYSTORE_PRIVATE_KEY the existing key is encrypted, otherwise a new one is
+// generated (e.g. the next key of a rotation). Prints the address to pass to
+// setTrustedSigner.
+//
+//   KEYSTORE_PASSWORD=... node scripts/createKeystore.js signer-next.json
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+async function main() {
+    const [file] = process.argv.slice(2);
+    const password = process.env.KEYSTORE_PASSWORD;
+    if (!file || !password) throw new Error('Usage: KEYSTORE_PASSWORD=... [KEYSTORE_PRIVATE_KEY=0x...] node scripts/createKeystore.js <file>');
+    if (fs.existsSync(file)) throw new Error(`${file} already exists; refusing to overwrite a key`);
+
+    const wallet = process.env.KEYSTORE_PRIVATE_KEY
+        ? new ethers.Wallet(process.env.KEYSTORE_PRIVATE_KEY)
+        : ethers.Wallet.createRandom();
+    fs.writeFileSync(file, await wallet.encrypt(password), { mode: 0o600 });
+    console.log(`🔐 Wrote ${file} for ${wallet.address}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
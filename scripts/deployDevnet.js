@@ -0,0 +1,110 @@
+// Coffee Chess - Local devnet deployment
+// Deploys CoffyCoin (contracts/CoffyCoinV6.sol) and the escrow module
+// (contracts/CoffyAuxiliaryV5.sol) to a local Hardhat node, trusts the server's
+// result signer, funds test wallets and writes deployments/local.json, which
+// the server (NETWORK=local) and, through GET /chain, the client read.
+//
+//   npm run devnet:node           # terminal 1, Hardhat chain 31337 on :8545
+//   npm run devnet:deploy         # terminal 2, compiles first
+//   NETWORK=local npm start
+//
+// Env: DEVNET_RPC_URL, the server's SIGNER_* settings (keystore, remote signer
+// or SIGNER_PRIVATE_KEY; defaults to the dev signer the server also falls back
+// to), DEVNET_FUND (extra comma-separated addresses, e.g. your MetaMask
+// account), DEVNET_FAUCET and DEVNET_REWARD_POOL (COFFY amounts).
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import * as dotenv from 'dotenv';
+import { DEV_SIGNER_KEY, writeDeployment } from '../lib/deployments.js';
+import { loadSignerKey } from '../lib/signerKeys.js';
+dotenv.config();
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const RPC_URL = process.env.DEVNET_RPC_URL || 'http://127.0.0.1:8545';
+const TEST_WALLET_COUNT = 9; // Hardhat's unlocked accounts #1..#9; #0 deploys
+const FAUCET_COFFY = process.env.DEVNET_FAUCET || '10000';
+const REWARD_POOL_COFFY = process.env.DEVNET_REWARD_POOL || '1000000';
+const GAS_ETH = '100'; // for wallets that aren't Hardhat accounts
+const SIGNER_GAS_ETH = '10'; // QUICK_MATCH_SUBMIT sends transactions
+
+function loadArtifact(source, name) {
+    const file = join(ROOT, 'artifacts', 'contracts', source, `${name}.json`);
+    if (!fs.existsSync(file)) throw new Error(`Missing ${file} - run \`npx hardhat compile\``);
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return new ethers.ContractFactory(abi, bytecode);
+}
+
+async function deploy(factory, deployer, label, ...args) {
+    const contract = await factory.connect(deployer).deploy(...args);
+    const receipt = await contract.deployTransaction.wait();
+    console.log(`📜 ${label} deployed at ${contract.address} (block ${receipt.blockNumber})`);
+    return { contract, receipt };
+}
+
+async function main() {
+    const provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+    const { chainId } = await provider.getNetwork().catch(() => {
+        throw new Error(`No node at ${RPC_URL} - start one with \`npx hardhat node\``);
+    });
+    const accounts = await provider.listAccounts();
+    const deployer = provider.getSigner(accounts[0]);
+    console.log(`🔗 Devnet chain ${chainId} at ${RPC_URL}, deployer ${accounts[0]}`);
+
+    const { address: trustedSigner } = await loadSignerKey({
+        keystore: process.env.SIGNER_KEYSTORE,
+        password: process.env.SIGNER_KEYSTORE_PASSWORD,
+        passwordFile: process.env.SIGNER_KEYSTORE_PASSWORD_FILE,
+        url: process.env.SIGNER_URL,
+        token: process.env.SIGNER_TOKEN,
+        privateKey: process.env.SIGNER_PRIVATE_KEY || DEV_SIGNER_KEY
+    });
+
+    // Every allocation goes to the deployer so it can hand out test COFFY
+    const { contract: token } = await deploy(loadArtifact('CoffyCoinV6.sol', 'CoffyCoin'), deployer, 'CoffyCoin',
+        accounts[0], accounts[0], accounts[0], accounts[0], accounts[0]);
+    const { contract: escrow, receipt } = await deploy(loadArtifact('CoffyAuxiliaryV5.sol', 'CoffyAuxiliaryV5'), deployer, 'CoffyAuxiliaryV5',
+        token.address, trustedSigner);
+    console.log(`✍️ trustedSigner set to ${trustedSigner}`);
+
+    await (await token.setAuthorizedModule(escrow.address, true)).wait();
+
+    const pool = ethers.utils.parseUnits(REWARD_POOL_COFFY, 18);
+    await (await token.approve(escrow.address, pool)).wait();
+    await (await escrow.depositRewardPool(pool)).wait();
+    console.log(`🏦 Reward pool funded with ${REWARD_POOL_COFFY} COFFY`);
+
+    const extra = (process.env.DEVNET_FUND || '').split(',').map(a => a.trim()).filter(Boolean).map(a => ethers.utils.getAddress(a));
+    const testWallets = [...accounts.slice(1, 1 + TEST_WALLET_COUNT), ...extra];
+    for (const address of extra) {
+        await (await deployer.sendTransaction({ to: address, value: ethers.utils.parseEther(GAS_ETH) })).wait();
+    }
+    await (await deployer.sendTransaction({ to: trustedSigner, value: ethers.utils.parseEther(SIGNER_GAS_ETH) })).wait();
+    const faucet = ethers.utils.parseUnits(FAUCET_COFFY, 18);
+    for (const address of testWallets) {
+        await (await token.transfer(address, faucet)).wait();
+    }
+    console.log(`☕ Sent ${FAUCET_COFFY} COFFY to ${testWallets.length} test wallets`);
+
+    const file = writeDeployment('local', {
+        network: 'local',
+        chainId,
+        rpcUrl: RPC_URL,
+        startBlock: receipt.blockNumber,
+        deployedAt: new Date().toISOString(),
+        deployer: accounts[0],
+        trustedSigner,
+        contracts: {
+            CoffyCoin: token.address,
+            CoffyAuxiliary: escrow.address
+        },
+        testWallets
+    });
+    console.log(`📝 Wrote ${file}`);
+}
+
+main().catch(error => {
+    console.error(`❌ Devnet deployment failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+// Coffee Chess - Local remote-signer stand-in
+// Serves the HTTP API lib/signerKeys.js RemoteSigner speaks, so SIGNER_URL can
+// be exercised without an HSM or cloud KMS. The key stays in this process:
+//   GET  /address          -> { address }
+//   POST /sign-message     { message: hex }               -> { signature }
+//   POST /sign-typed-data  { domain, types, value }       -> { signature }
+//
+//   SIGNER_SERVICE_KEYSTORE=key.json SIGNER_SERVICE_PASSWORD=... \
+//   SIGNER_SERVICE_TOKEN=secret node scripts/signerService.js
+//   SIGNER_URL=http://127.0.0.1:3100 SIGNER_TOKEN=secret npm start
+//
+// Env: SIGNER_SERVICE_PORT (3100), SIGNER_SERVICE_KEYSTORE + SIGNER_SERVICE_PASSWORD
+// or SIGNER_SERVICE_PRIVATE_KEY, SIGNER_SERVICE_TOKEN (required bearer token).
+import express from 'express';
+import { ethers } from 'ethers';
+import * as dotenv from 'dotenv';
+import { loadSignerKey } from '../lib/signerKeys.js';
+dotenv.config();
+
+const PORT = Number(process.env.SIGNER_SERVICE_PORT || 3100);
+const TOKEN = process.env.SIGNER_SERVICE_TOKEN;
+
+async function main() {
+    if (!TOKEN) throw new Error('Set SIGNER_SERVICE_TOKEN; the service refuses to sign for anyone');
+    const key = await loadSignerKey({
+        keystore: process.env.SIGNER_SERVICE_KEYSTORE,
+        password: process.env.SIGNER_SERVICE_PASSWORD,
+        privateKey: process.env.SIGNER_SERVICE_PRIVATE_KEY
+    });
+    if (!key) throw new Error('Set SIGNER_SERVICE_KEYSTORE (+ SIGNER_SERVICE_PASSWORD) or SIGNER_SERVICE_PRIVATE_KEY');
+    const wallet = key.signer;
+
+    const app = express();
+    app.use(express.json({ limit: '16kb' }));
+    app.use((req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${TOKEN}`) return res.status(401).json({ error: 'Unauthorized' });
+        next();
+    });
+
+    app.get('/address', (req, res) => res.json({ address: key.address }));
+
+    app.post('/sign-message', async (req, res) => {
+        const { message } = req.body || {};
+        if (!ethers.utils.isHexString(message)) return res.status(400).json({ error: 'message must be hex' });
+        res.json({ signature: await wallet.signMessage(ethers.utils.arrayify(message)) });
+    });
+
+    app.post('/sign-typed-data', async (req, res) => {
+        const { domain, types, value } = req.body || {};
+        try {
+            res.json({ signature: await wallet._signTypedData(domain, types, value) });
+        } catch (error) {
+            res.status(400).json({ error: error.reason || error.message });
+        }
+    });
+
+    app.listen(PORT, '127.0.0.1', () => {
+        console.log(`🔏 Signer service for ${key.address} (${key.source}) on http://127.0.0.1:${PORT}`);
+    });
+}
+
+main().catch(error => {
+    console.error(`❌ Signer service failed: ${error.message}`);
+    process.exit(1);
+});
@@ -7,15 +7,34 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { Chess } from 'chess.js';
 import { ethers } from 'ethers';
-import { moduleAddress, moduleAbi } from './coffytokenvemodülabi.js';
+import { moduleAbi } from './coffytokenvemodülabi.js';
+import { DEFAULT_NETWORK, resolveNetwork } from './config/networks.js';
+import { createStore } from './lib/storage.js';
+import { SignatureLedger, ledgerKey } from './lib/ledger.js';
+import { createResultSigner, selfTestSigner } from './lib/signing.js';
+import { NonceStore, AuthSessions, verifySiweLogin } from './lib/siwe.js';
+import { GuestError, guestIdentity, isGuest } from './lib/guests.js';
+import { ChainIndexer } from './lib/indexer.js';
+import { QuickMatchMaker } from './lib/matchmaking.js';
+import { PracticeSessions, SessionRewardError } from './lib/sessionRewards.js';
+import { RatingBook, ratingCategory } from './lib/ratings.js';
+import { GameClock, parseTimeControl } from './lib/clock.js';
+import { timeoutResult } from './lib/adjudication.js';
+import { parseRoomRules, creatorColor, roomMoveNumber, pliesPlayed } from './lib/roomRules.js';
+import { parseVariant, initialFen, createChess, validateStartFen, variantResult } from './lib/variants.js';
+import { FailoverProvider } from './lib/failoverProvider.js';
+import { loadSignerKey, SignerRotation } from './lib/signerKeys.js';
+import { MockChain, MockChainProvider, MockRpcError } from './lib/mockChain.js';
+import { loadDeployment, verifyDeployment, DEV_SIGNER_KEY } from './lib/deployments.js';
+import { BATTLE_ABI } from './config/battleAbi.js';
+import { SESSION_REWARD_ABI } from './config/sessionRewardAbi.js';
+import { TRUSTED_SIGNER_ABI } from './config/signerAbi.js';
+import { QUEUE_EXPIRATION_ABI } from './config/queueAbi.js';
 import * as dotenv from 'dotenv';
 import fs from 'fs';
+import crypto from 'crypto';
 dotenv.config();
 
-// ============ DEVELOPMENT MODE ============
-// Set to true for local testing without blockchain verification
-const DEV_MODE = false;
-
 // ============ CONFIGURATION CONSTANTS ============
 const PORT = process.env.PORT || 3005;
 const RATE_LIMIT_WINDOW_MS = 60000;
@@ -24,9 +43,46 @@ const RATE_LIMIT_CHAT_MAX = 20;
 const RATE_LIMIT_CLEANUP_INTERVAL = 300000; // 5 minutes
 const CLEANUP_DELAY_MS = 5000;
 const RECONNECT_TIMEOUT_MS = 60000;
-const STAKE_VERIFY_MAX_RETRIES = 15;
-const STAKE_VERIFY_BASE_DELAY = 3000;
+const STAKE_CONFIRM_TIMEOUT_MS = 120000; // how long a stake tx may take to show up in the indexer
+const RPC_HEALTH_INTERVAL_MS = 15000;
+const RPC_MAX_LAG_BLOCKS = 3; // endpoints further behind the best head aren't used
+const INDEXER_START_BLOCK = process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null;
+const QUICK_MATCH_SUBMIT = process.env.QUICK_MATCH_SUBMIT === 'true'; // server pays gas for executeQuickMatch instead of handing it to a player
+const DEFAULT_TIME_CONTROL = '5+0'; // minutes+increment, see lib/clock.js
+const SPECTATOR_DELAY_MS = Number(process.env.SPECTATOR_DELAY_MS || 0); // spectators see moves this much later (anti-cheat)
+const MAX_SPECTATORS = 200; // per room
+const DRAW_OFFER_TIMEOUT_MS = 30000; // an unanswered draw offer lapses
+const REMATCH_OFFER_TIMEOUT_MS = 60000; // an ended room stays open this long while a rematch offer is pending
+const REMATCH_CREATE_TIMEOUT_MS = 300000; // for the new creator to get createGame mined
+const FIRST_MOVE_TIMEOUT_MS = Number(process.env.FIRST_MOVE_TIMEOUT_MS || 30000); // each side's first move, or the game is aborted
+// COFFY for beating each AI level. Kept small: the AI is a budgeted depth-2 search
+// an engine-assisted player beats every time, so these are daily farmable up to
+// the contract's maxDailyRewardPerUser. Easy plays random moves and earns nothing.
+const SESSION_REWARDS = { medium: '5', hard: '20' };
+const PRACTICE_MOVES_PER_WALLET = 20; // per 10s across all of a wallet's sockets
 const GAME_END_DEADLINE_SECONDS = 3600; // 1 hour to claim after game ends
+const RESTORE_RECONNECT_TIMEOUT_MS = 300000; // 5 minutes for both players to return after a restart
+const OPEN_ROOM_TTL_MS = Number(process.env.OPEN_ROOM_TTL_MS || 30 * 60 * 1000); // unjoined game rooms close after this
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const SIWE_DOMAINS = process.env.SIWE_DOMAINS ? process.env.SIWE_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean) : null; // host[:port] a sign-in message may name
+const STORE_BACKEND = process.env.STORE_BACKEND || 'memory'; // memory | json | sqlite
+const CHAIN_BACKEND = process.env.CHAIN_BACKEND === 'mock' ? 'mock' : 'rpc'; // mock: in-process chain (lib/mockChain.js), no network needed
+const NETWORK_KEY = process.env.NETWORK || DEFAULT_NETWORK; // base | base-sepolia | local (config/networks.js)
+const LOCAL_DEPLOYMENT = NETWORK_KEY === 'local' ? loadDeployment('local') : null; // deployments/local.json from scripts/deployDevnet.js
+const NETWORK = resolveNetwork(NETWORK_KEY, {
+    rpcUrls: process.env.RPC_URLS ? process.env.RPC_URLS.split(',').map(url => url.trim()) : LOCAL_DEPLOYMENT && [LOCAL_DEPLOYMENT.rpcUrl],
+    contracts: {
+        CoffyCoin: process.env.TOKEN_ADDRESS || LOCAL_DEPLOYMENT?.contracts.CoffyCoin,
+        CoffyAuxiliary: process.env.MODULE_ADDRESS || LOCAL_DEPLOYMENT?.contracts.CoffyAuxiliary
+    },
+    contractVersion: process.env.CONTRACT_VERSION // signature scheme of the escrow: v5 | v2 | eip712
+});
+const CHAIN_ID = NETWORK.chainId;
+const CONTRACT_VERSION = NETWORK.contractVersion;
+const coffytokenAddress = NETWORK.contracts.CoffyCoin;
+const moduleAddress = NETWORK.contracts.CoffyAuxiliary;
+const SIGNER_PRIVATE_KEY = process.env.SIGNER_PRIVATE_KEY || (CHAIN_BACKEND === 'mock' || LOCAL_DEPLOYMENT ? DEV_SIGNER_KEY : null); // local chains trust the well-known dev key
+const SIGNER_ROTATION_CHECK_MS = Number(process.env.SIGNER_ROTATION_CHECK_MS || 5 * 60 * 1000); // how often trustedSigner() and queueExpiration() are re-read
 // ===========================================
 
 const __filename = fileURLToPath(import.meta.url);
@@ -55,6 +111,13 @@ function saveUsers() {
         console.error('❌ Error saving users.json:', error);
     }
 }
+
+// How a player is shown to others: a guest's chosen name, the registered
+// username or the short wallet address
+function displayName(player) {
+    if (player.guestName) return `${player.guestName} (guest)`;
+    return registeredUsers[player.address] || `${player.address.slice(0, 6)}...${player.address.slice(-4)}`;
+}
 // ===========================================
 
 const app = express();
@@ -80,7 +143,12 @@ app.use(cors({
 }));
 
 app.use(express.json());
-app.use(express.static(__dirname));
+// Only the browser app is public: the repo root also holds data/ (room store,
+// signature ledger), users.json and the server code
+const PUBLIC_FILES = ['index.html', 'coffytokenvemodülabi.js', 'lib/variants.js'];
+app.get('/', (req, res) => res.sendFile(join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach(file => app.get(encodeURI(`/${file}`), (req, res) => res.sendFile(join(__dirname, file))));
+app.use('/config', express.static(join(__dirname, 'config')));
 
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
@@ -98,63 +166,396 @@ const io = new Server(server, {
     allowEIO3: true
 });
 
+// ============ SIGN-IN WITH ETHEREUM ============
+// Sockets are bound to a wallet proven by an EIP-4361 signature (or an auth
+// token issued after one). Unauthenticated sockets may connect but every
+// wallet-bound handler refuses them. Guests (lib/guests.js) connect with a
+// session secret instead and may only play casual rooms.
+const siweNonces = new NonceStore();
+const authSessions = new AuthSessions();
+// The message's domain is only checked against this allowlist, never the
+// request's own Host header (the client picks that). Production has to set
+// SIWE_DOMAINS; elsewhere the CORS origins and this server's own address do.
+const siweDomains = SIWE_DOMAINS || (IS_PRODUCTION ? [] : [
+    ...allowedOrigins.map(origin => new URL(origin).host),
+    `localhost:${PORT}`,
+    `127.0.0.1:${PORT}`
+]);
+
+app.get('/auth/nonce', (req, res) => {
+    if (!checkRateLimit('nonce_' + req.ip, 20, 60000)) {
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+    res.json({ nonce: siweNonces.issue(), chainId: CHAIN_ID });
+});
+
+io.use((socket, next) => {
+    const auth = socket.handshake.auth || {};
+    socket.data.address = null;
+
+    try {
+        if (auth.authToken) {
+            // Expired/unknown tokens fall through to an anonymous connection; the client re-signs
+            const address = authSessions.resolve(auth.authToken);
+            if (address) {
+                socket.data.address = address;
+                socket.data.authToken = auth.authToken;
+            }
+        } else if (auth.message && auth.signature) {
+            const address = verifySiweLogin({
+                message: auth.message,
+                signature: auth.signature,
+                nonces: siweNonces,
+                domains: siweDomains,
+                chainId: CHAIN_ID
+            });
+            const { token, expiresAt } = authSessions.issue(address);
+            socket.data.address = address;
+            socket.data.authToken = token;
+            socket.data.authExpiresAt = expiresAt;
+            console.log(`🔐 SIWE login: ${address}`);
+        } else if (auth.guest) {
+            const guest = guestIdentity(auth.guest);
+            socket.data.address = guest.id;
+            socket.data.guestName = guest.name;
+        }
+        next();
+    } catch (error) {
+        const kind = error instanceof GuestError ? 'GUEST' : 'SIWE';
+        console.warn(`🔐 ${kind} sign-in rejected for ${socket.id}: ${error.message}`);
+        const err = new Error(`Authentication failed: ${error.message}`);
+        err.data = { code: `${kind}_FAILED` };
+        next(err);
+    }
+});
+
 // Multi-RPC fallback for better reliability
-const RPC_URLS = [
-    'https://mainnet.base.org',
-    'https://base.meowrpc.com',
-    'https://base.publicnode.com'
-];
+const RPC_URLS = NETWORK.rpcUrls;
 
 let provider;
 let moduleContract;
-
+let chainIndexer = null; // lib/indexer.js, follows the module's game events
+let quickMatchMaker = null; // lib/matchmaking.js, pairs joinQuickMatch entries
+let resultSigner = null; // lib/signing.js adapter for CONTRACT_VERSION
+let signerRotation = null; // lib/signerKeys.js, picks the key trustedSigner() names
+let practiceSessions = null; // lib/sessionRewards.js, server-side AI games and their rewards
+let ratingBook = null; // lib/ratings.js, Glicko-2 ratings per wallet, created with the store
+let mockChain = null; // lib/mockChain.js, only with CHAIN_BACKEND=mock
+
+// Every endpoint stays in rotation: lib/failoverProvider.js health-checks them
+// and routes each call to the healthiest one that is in sync
 async function initializeProvider() {
-    for (const url of RPC_URLS) {
-        try {
-            const testProvider = new ethers.providers.JsonRpcProvider(url);
-            await testProvider.getNetwork();
-            provider = testProvider;
-            console.log(`✅ Connected to Base RPC: ${url}`);
-            return;
-        } catch (error) {
-            console.warn(`⚠️ Failed to connect to ${url}, trying next...`);
-        }
+    provider = new FailoverProvider({
+        urls: RPC_URLS,
+        network: { chainId: CHAIN_ID, name: NETWORK.key },
+        healthIntervalMs: RPC_HEALTH_INTERVAL_MS,
+        maxLagBlocks: RPC_MAX_LAG_BLOCKS
+    });
+    const healthy = await provider.start();
+    if (healthy > 0) {
+        console.log(`✅ Connected to ${NETWORK.name} RPC: ${healthy}/${RPC_URLS.length} endpoint(s) healthy`);
+        return;
+    }
+    provider.stop();
+    throw new Error(LOCAL_DEPLOYMENT
+        ? `❌ Could not connect to the devnet at ${LOCAL_DEPLOYMENT.rpcUrl} - is \`npm run devnet:node\` running?`
+        : `❌ Could not connect to any ${NETWORK.name} RPC endpoint`);
+}
+
+// Offline development: token and escrow run in this process; the browser
+// reaches the same chain through POST /mock-chain
+function initializeMockChain(trustedSigner) {
+    mockChain = new MockChain({
+        chainId: CHAIN_ID,
+        tokenAddress: coffytokenAddress,
+        escrowAddress: moduleAddress,
+        trustedSigner,
+        store
+    });
+    provider = new MockChainProvider(mockChain);
+    console.log(`🧪 Using the mock chain (chain ${CHAIN_ID}, block ${mockChain.head.number}) - no RPC, test COFFY only`);
+}
+
+// Result signer keys: SIGNER_* is the key in use, SIGNER_NEXT_* one being rolled
+// out. Each is a keystore, a remote signer or (development) a plaintext key.
+async function loadSignerKeys() {
+    const current = await loadSignerKey({
+        keystore: process.env.SIGNER_KEYSTORE,
+        password: process.env.SIGNER_KEYSTORE_PASSWORD,
+        passwordFile: process.env.SIGNER_KEYSTORE_PASSWORD_FILE,
+        url: process.env.SIGNER_URL,
+        token: process.env.SIGNER_TOKEN,
+        privateKey: SIGNER_PRIVATE_KEY
+    });
+    const next = await loadSignerKey({
+        keystore: process.env.SIGNER_NEXT_KEYSTORE,
+        password: process.env.SIGNER_NEXT_KEYSTORE_PASSWORD ?? process.env.SIGNER_KEYSTORE_PASSWORD,
+        passwordFile: process.env.SIGNER_NEXT_KEYSTORE_PASSWORD_FILE ?? process.env.SIGNER_KEYSTORE_PASSWORD_FILE,
+        url: process.env.SIGNER_NEXT_URL,
+        token: process.env.SIGNER_NEXT_TOKEN ?? process.env.SIGNER_TOKEN,
+        privateKey: process.env.SIGNER_NEXT_PRIVATE_KEY
+    });
+    if (current?.source === 'env' && process.env.SIGNER_PRIVATE_KEY) {
+        console.warn('⚠️ Result signer key is a plaintext SIGNER_PRIVATE_KEY; use SIGNER_KEYSTORE or SIGNER_URL in production');
     }
-    throw new Error('❌ Could not connect to any Base RPC endpoint');
+    if (current) console.log(`🔑 Result signer ${current.address} (${current.source})${next ? `, rolling out ${next.address} (${next.source})` : ''}`);
+    return { current, next };
 }
 
 // Storage
 const rooms = new Map();
-const playerSessions = new Map(); // walletAddress -> { socketId, roomId, reconnectTimer }
+const playerSessions = new Map(); // walletAddress -> { socketId, roomId, reconnectTimer, token }
 let roomCounter = 1;
+const rematches = new Map(); // creator address -> { opponent, stake, timeControl, rules, variant, startFen, previousRoomId, expiresAt }
 
 function generateRoomId() {
     return 'CHESS-' + String(roomCounter++).padStart(4, '0');
 }
 
+// Reconnect token for one seat. Issued on createRoom/joinRoom, rotated on every
+// successful reconnect and dropped with the session in cleanupRoom.
+function issueSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sessionTokenMatches(session, token) {
+    if (!session?.token || typeof token !== 'string' || token.length !== session.token.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(session.token));
+}
+
+// ============ ROOM PERSISTENCE ============
+// Rooms are snapshotted to the configured store so a deploy or crash in the
+// middle of a staked game doesn't lose the position (or the signatures).
+const STORE_PATH = process.env.STORE_PATH ||
+    join(__dirname, 'data', STORE_BACKEND === 'sqlite' ? 'coffee-chess.db' : 'coffee-chess.json');
+let store;
+
+// Append-only record of every result signature, keyed by on-chain gameId.
+// Outlives rooms so a winner can still fetch their signature after cleanupRoom.
+const LEDGER_PATH = process.env.LEDGER_PATH || join(__dirname, 'data', 'signatures.jsonl');
+const ledger = new SignatureLedger(LEDGER_PATH);
+console.log(`📒 Signature ledger loaded: ${ledger.size} signed result(s)`);
+
+function snapshotRoom(room) {
+    return {
+        id: room.id,
+        players: room.players.map(p => ({
+            address: p.address,
+            color: p.color,
+            guestName: p.guestName || null,
+            stakeConfirmed: !!p.stakeConfirmed,
+            sessionToken: playerSessions.get(p.address)?.token || null
+        })),
+        meta: room.meta,
+        pgn: room.chess.pgn(),
+        clock: room.clock.snapshot(),
+        chatMessages: room.chatMessages,
+        started: room.started,
+        gameOver: room.gameOver,
+        winner: room.winner || null,
+        endReason: room.endReason || null,
+        signatureWhite: room.signatureWhite || null,
+        signatureBlack: room.signatureBlack || null,
+        pendingDrawOffer: room.pendingDrawOffer || null,
+        lastMoveTime: room.lastMoveTime,
+        verified: room.verified,
+        quickMatch: !!room.quickMatch,
+        savedAt: Date.now()
+    };
+}
+
+function persistRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !store) return;
+    try {
+        store.set('rooms', roomId, snapshotRoom(room));
+    } catch (error) {
+        console.error(`❌ Failed to persist room ${roomId}:`, error.message);
+    }
+}
+
+// Rebuild rooms, sessions and clocks from the store after a restart.
+// Clocks stay frozen (no time is charged for server downtime) until every
+// player of a running game has reconnected.
+function restoreRooms() {
+    const snapshots = store.list('rooms');
+
+    for (const { key: roomId, value: snap } of snapshots) {
+        const chess = createChess(Chess, snap.meta.variant || 'standard', snap.meta.startFen);
+        if (snap.pgn && !chess.load_pgn(snap.pgn)) {
+            console.error(`❌ Could not replay PGN for room ${roomId}, dropping snapshot`);
+            store.delete('rooms', roomId);
+            continue;
+        }
+
+        const room = {
+            id: roomId,
+            players: snap.players.map(p => ({ id: null, address: p.address, color: p.color, guestName: p.guestName || null, stakeConfirmed: !!p.stakeConfirmed })),
+            meta: snap.meta,
+            chess,
+            clock: restoreClock(snap, chess),
+            flagTimer: null,
+            abortTimer: null,
+            spectators: new Set(),
+            moves: chess.history({ verbose: true }),
+            chatMessages: snap.chatMessages || [],
+            started: snap.started,
+            gameOver: snap.gameOver,
+            winner: snap.winner,
+            endReason: snap.endReason,
+            signatureWhite: snap.signatureWhite,
+            signatureBlack: snap.signatureBlack,
+            pendingDrawOffer: snap.pendingDrawOffer || null,
+            lastMoveTime: snap.lastMoveTime,
+            verified: snap.verified,
+            quickMatch: !!snap.quickMatch,
+            restored: true
+        };
+        room.meta.timeControl ??= room.clock.timeControl.key;
+        room.meta.rules ??= parseRoomRules();
+        room.meta.variant ??= 'standard';
+        room.meta.startFen ??= initialFen('standard');
+        rooms.set(roomId, room);
+
+        const num = parseInt(roomId.replace('CHESS-', ''), 10);
+        if (!isNaN(num) && num >= roomCounter) roomCounter = num + 1;
+
+        room.players.forEach(player => {
+            const seat = snap.players.find(p => p.address === player.address);
+            playerSessions.set(player.address, {
+                socketId: null,
+                roomId,
+                reconnectTimer: null,
+                token: seat?.sessionToken || null
+            });
+        });
+
+        if (room.gameOver) {
+            setTimeout(() => cleanupRoom(roomId), 30000);
+        } else if (!room.started) {
+            scheduleRoomExpiry(roomId);
+        } else {
+            room.restoreTimer = setTimeout(() => resolveRestoreWindow(roomId), RESTORE_RECONNECT_TIMEOUT_MS);
+            if (room.pendingDrawOffer) scheduleDrawOfferExpiry(roomId);
+        }
+    }
+
+    if (snapshots.length > 0) {
+        console.log(`♻️ Restored ${rooms.size} room(s) from ${store.kind} store`);
+    }
+}
+
+// Called when the post-restart reconnect window closes. A player who came back
+// wins against one who didn't; if nobody returned the game is drawn so both
+// stakes can be refunded.
+function resolveRestoreWindow(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.gameOver) return;
+    room.restoreTimer = null;
+
+    const present = room.players.filter(p => p.id && io.sockets.sockets.get(p.id)?.connected);
+    if (present.length === room.players.length) return;
+
+    if (present.length === 1) {
+        handleGameEnd(roomId, present[0].color, 'disconnect');
+    } else {
+        handleGameEnd(roomId, 'draw', 'abandoned after server restart');
+    }
+}
+
 // Health check
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         game: 'Coffee Chess Secure',
         rooms: rooms.size,
-        activePlayers: playerSessions.size
+        activePlayers: playerSessions.size,
+        store: store?.kind || null,
+        indexerBlock: chainIndexer?.cursor ?? null,
+        rpc: provider instanceof FailoverProvider ? provider.health() : { backend: CHAIN_BACKEND },
+        signer: signerRotation?.status() || null
     });
 });
 
 // List rooms API
 app.get('/rooms', (req, res) => {
-    const openRooms = [];
-    rooms.forEach((room, roomId) => {
-        if (!room.started) {
-            openRooms.push({
-                roomId,
-                playersCount: room.players.length,
-                meta: room.meta
-            });
-        }
+    res.json(listOpenRooms());
+});
+
+// Ratings of a wallet in every category and its recent rated games
+app.get('/profile/:address', (req, res) => {
+    const address = String(req.params.address || '').toLowerCase();
+    if (!ethers.utils.isAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+    }
+    if (!ratingBook) {
+        return res.status(503).json({ error: 'Ratings are not available yet' });
+    }
+    res.json({
+        address,
+        username: registeredUsers[address] || null,
+        ...ratingBook.profile(address)
     });
-    res.json(openRooms);
+});
+
+// Signed result lookup - lets the claim flow recover a signature after the room is gone
+function sendLedgerSignature(req, res, kind, id) {
+    const label = kind === 'battle' ? 'battle' : 'game';
+    const address = String(req.query.address || '').toLowerCase();
+
+    if (!/^\d+$/.test(id)) {
+        return res.status(400).json({ error: `Invalid ${label}Id` });
+    }
+    if (!ethers.utils.isAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    const key = ledgerKey(kind, id);
+    const entry = ledger.get(key);
+    if (!entry) {
+        return res.status(404).json({ error: `No signed result for this ${label}` });
+    }
+    if (address !== entry.whiteAddress && address !== entry.blackAddress) {
+        return res.status(403).json({ error: `Address did not play this ${label}` });
+    }
+
+    const signature = ledger.signatureFor(key, address);
+    res.json({
+        [`${label}Id`]: id,
+        winner: entry.winner,
+        reason: entry.reason,
+        winnerAddress: entry.winnerAddress,
+        deadline: entry.deadline,
+        signature,
+        error: signature ? undefined : `Only the winner can claim this ${label}`
+    });
+}
+
+app.get('/games/:gameId/signature', (req, res) => sendLedgerSignature(req, res, 'game', req.params.gameId));
+app.get('/battles/:battleId/signature', (req, res) => sendLedgerSignature(req, res, 'battle', req.params.battleId));
+
+// Which chain and contracts the client should use; with the mock backend POST /mock-chain is its RPC
+app.get('/chain', (req, res) => {
+    res.json({
+        backend: CHAIN_BACKEND,
+        network: NETWORK.key,
+        chainId: CHAIN_ID,
+        rpcPath: CHAIN_BACKEND === 'mock' ? '/mock-chain' : null,
+        rpcUrl: LOCAL_DEPLOYMENT ? LOCAL_DEPLOYMENT.rpcUrl : null, // the registry's public RPCs otherwise
+        contracts: { token: coffytokenAddress, module: moduleAddress }
+    });
+});
+
+app.post('/mock-chain', async (req, res) => {
+    if (!mockChain) return res.status(404).json({ error: 'Mock chain is not enabled' });
+    const { id = null, method, params } = req.body || {};
+    try {
+        res.json({ jsonrpc: '2.0', id, result: await mockChain.request(method, params) });
+    } catch (error) {
+        if (!(error instanceof MockRpcError)) console.error(`❌ Mock chain ${method} failed:`, error);
+        const code = error instanceof MockRpcError ? error.code : -32603;
+        res.json({ jsonrpc: '2.0', id, error: { code, message: error.message, data: error.data } });
+    }
 });
 
 // Rate limiting storage
@@ -190,64 +591,467 @@ setInterval(() => {
     if (cleanedCount > 0) {
         console.log(`🧹 Cleaned up ${cleanedCount} expired rate limit entries`);
     }
+    siweNonces.purge();
+    authSessions.purge();
 }, RATE_LIMIT_CLEANUP_INTERVAL);
 
 // Verify stake on blockchain
-async function verifyStake(gameId, playerAddress, expectedStake) {
-    for (let attempt = 1; attempt <= STAKE_VERIFY_MAX_RETRIES; attempt++) {
-        try {
-            console.log(`🔍 Verifying stake for game ${gameId}, player ${playerAddress} (Attempt ${attempt}/${STAKE_VERIFY_MAX_RETRIES})`);
-
-            const g = await moduleContract.getGameInfo(gameId);
-            const player1 = g.player1.toLowerCase();
-            const player2 = (g.player2 || ethers.constants.AddressZero).toLowerCase();
-            const status = Number(g.status);
-
-            const addr = playerAddress.toLowerCase();
-            if (player1 !== addr && player2 !== addr) {
-                console.log(`⚠️ Player not found in game yet, retrying...`);
-                if (attempt < STAKE_VERIFY_MAX_RETRIES) {
-                    await new Promise(r => setTimeout(r, attempt * STAKE_VERIFY_BASE_DELAY));
-                    continue;
-                }
-                return false;
-            }
+// Which on-chain escrow backs a room: a game (createGame/joinGame) or a
+// battle (createBattle/joinBattle). The two have separate id spaces. Casual
+// rooms have none; they go by their room id.
+function escrowOf(room) {
+    if (room.meta?.escrow === 'casual') return { kind: 'casual', id: room.id, key: null, label: 'Casual room' };
+    const kind = room.meta?.escrow === 'battle' ? 'battle' : 'game';
+    const id = kind === 'battle' ? room.meta.battleId : room.meta?.gameId;
+    return { kind, id, key: ledgerKey(kind, id), label: kind === 'battle' ? 'Battle' : 'Game' };
+}
 
-            if (status >= 2) {
-                console.log(`❌ Game ${gameId} already done (status: ${status})`);
-                return false;
-            }
+// Resolves once the indexer has seen `playerAddress` stake exactly
+// `expectedStake` wei into the escrow (Created / Joined event).
+async function verifyStake(escrow, playerAddress, expectedStake) {
+    if (!chainIndexer) {
+        console.error(`❌ Cannot verify stake for ${escrow.kind} ${escrow.id}: chain indexer not running`);
+        return { ok: false, reason: 'chain indexer not running' };
+    }
+    console.log(`🔍 Waiting for stake confirmation: ${escrow.kind} ${escrow.id}, player ${playerAddress}, ${expectedStake} wei`);
+    const result = await chainIndexer.waitForStake(escrow.id, playerAddress, expectedStake, STAKE_CONFIRM_TIMEOUT_MS, escrow.kind);
+    if (result.ok) {
+        console.log(`✅ ${escrow.label} ${escrow.id} stake confirmed for ${playerAddress}`);
+    } else {
+        console.log(`❌ Stake for ${escrow.kind} ${escrow.id} / ${playerAddress} rejected: ${result.reason}`);
+    }
+    return result;
+}
 
-            console.log(`✅ Game ${gameId} verified for ${playerAddress}`);
-            return true;
+// Verify one seat's stake in the background; the room closes if it fails.
+// The game only starts once every seat is confirmed.
+function confirmPlayerStake(roomId, player) {
+    const room = rooms.get(roomId);
+    if (!room || player.stakeConfirmed || player.stakePending) return;
+
+    player.stakePending = true;
+    verifyStake(escrowOf(room), player.address, room.meta.stake).then(result => {
+        player.stakePending = false;
+        const r = rooms.get(roomId);
+        if (!r || r.gameOver || !r.players.includes(player)) return;
+
+        if (!result.ok) {
+            const isCreator = player === r.players[0];
+            console.log(`❌ Background verification failed for ${isCreator ? 'creator' : 'JOINER'} ${player.address} in room ${roomId}`);
+            io.to(roomId).emit('error', { message: isCreator ? 'Stake verification failed. Room closing.' : 'Opponent stake verification failed. Game cancelled.' });
+            io.to(roomId).emit('gameCancelled', { reason: isCreator ? 'Stake verification failed' : 'Opponent stake verification failed' });
+            cleanupRoom(roomId);
+            return;
+        }
 
-        } catch (error) {
-            console.error(`Attempt ${attempt} error:`, error.message);
-            if (attempt < STAKE_VERIFY_MAX_RETRIES) {
-                await new Promise(r => setTimeout(r, attempt * STAKE_VERIFY_BASE_DELAY));
+        console.log(`✅ Background verification SUCCESS for ${player.address} in ${roomId}`);
+        player.stakeConfirmed = true;
+        if (player === r.players[0]) {
+            r.verified = true;
+            if (result.game?.expiresAt) {
+                r.meta.expiresAt = result.game.expiresAt * 1000;
+                scheduleRoomExpiry(roomId);
             }
+            io.to(roomId).emit('stakeConfirmed', {
+                escrow: r.meta.escrow || 'game',
+                gameId: r.meta.gameId,
+                battleId: r.meta.battleId,
+                expiresAt: r.meta.expiresAt || null
+            });
+        }
+        persistRoom(roomId);
+        startGameIfReady(roomId);
+    });
+}
+
+// Nobody joined in time: battle rooms close when the battle expires on-chain,
+// game rooms after OPEN_ROOM_TTL_MS. The stake stays in escrow, so the creator
+// is told and can reopen the room, cancelGame or cancelExpiredBattle.
+function roomExpiresAt(room) {
+    if (room.quickMatch) return null;
+    if (room.meta.escrow === 'battle') return room.meta.expiresAt || null;
+    return room.meta.createdAt + OPEN_ROOM_TTL_MS;
+}
+
+function scheduleRoomExpiry(roomId) {
+    const room = rooms.get(roomId);
+    const expiresAt = room && !room.started ? roomExpiresAt(room) : null;
+    if (!expiresAt) return;
+    clearTimeout(room.expiryTimer);
+    // setTimeout overflows past ~24.8 days; rooms expire well before that
+    room.expiryTimer = setTimeout(() => expireRoom(roomId), Math.max(0, expiresAt - Date.now()));
+}
+
+function expireRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.started || room.gameOver) return;
+    // A joiner is seated and their stake is being checked; confirmPlayerStake decides
+    if (room.players.length >= 2) return;
+
+    const escrow = escrowOf(room);
+    const creator = room.players[0]?.address;
+    console.log(`⌛ ${escrow.label} ${escrow.id} got no opponent, closing ${roomId}`);
+    const notice = {
+        reason: escrow.kind === 'battle' ? 'Battle expired' : 'No opponent joined in time',
+        expired: true,
+        roomId,
+        escrow: escrow.kind,
+        gameId: room.meta.gameId,
+        battleId: room.meta.battleId
+    };
+    // Every tab of the creator's wallet, not just the one that is in the room
+    if (creator) socketsForAddress(creator).forEach(s => s.emit('gameCancelled', notice));
+    cleanupRoom(roomId);
+}
+
+// Open room already backing this on-chain game/battle, if any
+function roomForEscrow(kind, id) {
+    return Array.from(rooms.values()).find(room => {
+        const escrow = escrowOf(room);
+        return escrow.kind === kind && String(escrow.id) === String(id) && !room.gameOver;
+    }) || null;
+}
+
+function startGameIfReady(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.started || room.gameOver) return;
+    if (room.players.length < 2 || !room.players.every(p => p.stakeConfirmed && p.id)) return;
+
+    room.started = true;
+    room.spectatorView = spectatorView(room); // the opening position; nothing to delay yet
+    clearTimeout(room.expiryTimer);
+    room.clock.start();
+    persistRoom(roomId);
+
+    // Emit startGame to each player with their specific data
+    room.players.forEach((player, i) => {
+        const opponent = room.players[1 - i];
+        io.to(player.id).emit('startGame', {
+            playerNumber: player.color === 'white' ? 1 : 2,
+            color: player.color,
+            opponent: opponent.address,
+            opponentName: displayName(opponent),
+            ...gameRatingInfo(room, player, opponent),
+            clock: room.clock.view(),
+            spectators: room.spectators.size,
+            chatHistory: room.chatMessages,
+            gameId: room.meta.gameId,
+            battleId: room.meta.battleId || null,
+            meta: room.meta
+        });
+    });
+
+    scheduleFlag(roomId);
+    scheduleAbort(roomId);
+    publishToSpectators(roomId);
+    console.log(`🎮 Game started in ${roomId}`);
+}
+
+function newRoom(roomId, players, { escrow = 'game', gameId = null, battleId = null, stake, timeControl, rules = parseRoomRules(), variant = 'standard', startFen = initialFen(variant), reservedFor = null }) {
+    const chess = createChess(Chess, variant, startFen);
+    const clock = new GameClock(timeControl, { turn: chess.turn() });
+    return {
+        id: roomId,
+        players,
+        meta: {
+            escrow,
+            gameId,
+            battleId,
+            stake,
+            timeControl: clock.timeControl.key,
+            timeLimit: clock.timeControl.minutes,
+            rules,
+            variant,
+            startFen: chess.fen(),
+            reservedFor, // only this wallet may take the second seat (rematches)
+            createdAt: Date.now()
+        },
+        chess,
+        clock,
+        flagTimer: null,
+        abortTimer: null,
+        spectators: new Set(),
+        moves: [],
+        chatMessages: [],
+        started: false,
+        gameOver: false,
+        lastMoveTime: Date.now(),
+        verified: false
+    };
+}
+
+// The second seat gets whichever side the creator didn't take
+function joinerColor(room) {
+    return room.players[0].color === 'white' ? 'black' : 'white';
+}
+
+// Rooms waiting for an opponent. Rematch rooms are reserved for one wallet and
+// never listed.
+function listOpenRooms() {
+    const openRooms = [];
+    rooms.forEach((room, roomId) => {
+        if (!room.started && room.players.length < 2 && !room.meta.reservedFor) {
+            openRooms.push({
+                roomId,
+                playersCount: room.players.length,
+                variant: room.meta.variant,
+                casual: room.meta.escrow === 'casual',
+                host: displayName(room.players[0]),
+                hostRating: roomRatingInfo(room, null).hostRating,
+                color: joinerColor(room),
+                meta: room.meta
+            });
         }
+    });
+    return openRooms;
+}
+
+function socketsForAddress(address) {
+    return Array.from(io.sockets.sockets.values()).filter(s => s.data.address === address);
+}
+
+// ============ RATINGS ============
+// Only rated rooms between two wallets count; guests and unrated rooms show no
+// ratings at all. The category comes from the room's time control.
+function ratingOf(player, category) {
+    if (!ratingBook || !player || isGuest(player.address)) return null;
+    return ratingBook.view(player.address, category);
+}
+
+function ratesBetween(room, address, opponent) {
+    return !!ratingBook && room.meta.rules?.rated && !!address && !!opponent &&
+        !isGuest(address) && !isGuest(opponent) && address !== opponent;
+}
+
+// For someone looking at an open room: the creator's rating and what `address`
+// stands to win or lose against them
+function roomRatingInfo(room, address) {
+    const category = ratingCategory(room.meta.timeControl);
+    const host = room.players[0];
+    return {
+        ratingCategory: category,
+        hostRating: ratingOf(host, category),
+        ratingChange: ratesBetween(room, address, host?.address) ? ratingBook.preview(address, host.address, category) : null
+    };
+}
+
+// startGame fields for `player`
+function gameRatingInfo(room, player, opponent) {
+    const category = ratingCategory(room.meta.timeControl);
+    return {
+        ratingCategory: category,
+        rating: ratingOf(player, category),
+        opponentRating: ratingOf(opponent, category),
+        ratingChange: ratesBetween(room, player.address, opponent.address) ? ratingBook.preview(player.address, opponent.address, category) : null
+    };
+}
+
+// New ratings after a finished game, or null when it doesn't count
+function rateGame(room, winner, reason, whitePlayer, blackPlayer) {
+    if (reason === 'aborted' || !ratesBetween(room, whitePlayer?.address, blackPlayer?.address)) return null;
+    try {
+        const ratings = ratingBook.rate({
+            roomId: room.id,
+            category: ratingCategory(room.meta.timeControl),
+            white: whitePlayer.address,
+            black: blackPlayer.address,
+            score: winner === 'white' ? 1 : winner === 'black' ? 0 : 0.5
+        });
+        console.log(`📈 ${ratings.category} ratings after ${room.id}: white ${ratings.white.rating} (${ratings.white.change >= 0 ? '+' : ''}${ratings.white.change}), black ${ratings.black.rating} (${ratings.black.change >= 0 ? '+' : ''}${ratings.black.change})`);
+        return ratings;
+    } catch (error) {
+        console.error(`❌ Rating update failed for ${room.id}: ${error.message}`);
+        return null;
+    }
+}
+
+// An unanswered draw offer lapses and the offering player is told it was declined
+function scheduleDrawOfferExpiry(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const offeredBy = room.pendingDrawOffer;
+    clearTimeout(room.drawOfferTimeout);
+    room.drawOfferTimeout = setTimeout(() => {
+        if (room.pendingDrawOffer !== offeredBy) return;
+        room.pendingDrawOffer = null;
+        persistRoom(roomId);
+        console.log(`⏰ Draw offer expired in room ${roomId}`);
+        const player = room.players.find(p => p.address === offeredBy);
+        if (player?.id) io.to(player.id).emit('drawDeclined');
+    }, DRAW_OFFER_TIMEOUT_MS);
+}
+
+// ============ REMATCH ============
+// Colors swap: the previous black player creates the next on-chain game with
+// the same stake and time control and createRoom tells the other player its
+// gameId (rematchCreated) to join.
+function startRematch(room) {
+    const white = room.players.find(p => p.color === 'white');
+    const black = room.players.find(p => p.color === 'black');
+    room.rematchOffer = null;
+
+    const now = Date.now();
+    for (const [address, pending] of rematches) {
+        if (pending.expiresAt <= now) rematches.delete(address);
     }
-    return false;
+    rematches.set(black.address, {
+        opponent: white.address,
+        stake: String(room.meta.stake),
+        timeControl: room.meta.timeControl,
+        rules: room.meta.rules,
+        variant: room.meta.variant,
+        startFen: room.meta.startFen,
+        previousRoomId: room.id,
+        expiresAt: now + REMATCH_CREATE_TIMEOUT_MS
+    });
+
+    const terms = { previousRoomId: room.id, stake: String(room.meta.stake), timeControl: room.meta.timeControl, rules: room.meta.rules, variant: room.meta.variant };
+    io.to(black.id).emit('rematchAccepted', { ...terms, role: 'create', opponent: white.address });
+    io.to(white.id).emit('rematchAccepted', { ...terms, role: 'join', opponent: black.address });
+    console.log(`🔁 Rematch agreed in ${room.id}: ${black.address} creates the next game`);
+}
+
+// ============ SPECTATORS ============
+// Spectators are read-only: they are not in the players' socket.io room (so no
+// chat, draw offers or signatures reach them) but in `<roomId>:spectators`, and
+// the socket never gets a seat, so makeMove / resign / draw ignore it. With
+// SPECTATOR_DELAY_MS set, everything they see is published that much later.
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+function spectatorView(room, now = Date.now()) {
+    const history = room.chess.history({ verbose: true });
+    const lastMove = history[history.length - 1];
+    return {
+        roomId: room.id,
+        white: room.players.find(p => p.color === 'white')?.address || null,
+        black: room.players.find(p => p.color === 'black')?.address || null,
+        gameId: room.meta.gameId,
+        battleId: room.meta.battleId || null,
+        stake: room.meta.stake,
+        timeControl: room.meta.timeControl,
+        variant: room.meta.variant,
+        startFen: room.meta.startFen,
+        started: room.started,
+        fen: room.chess.fen(),
+        pgn: room.chess.pgn(),
+        lastMove: lastMove ? { from: lastMove.from, to: lastMove.to } : null,
+        clock: room.clock.view(now),
+        gameOver: room.gameOver,
+        winner: room.gameOver ? room.winner : null,
+        reason: room.gameOver ? room.endReason : null,
+        delayMs: SPECTATOR_DELAY_MS
+    };
+}
+
+// Capture the room as it is now and show it to spectators after the delay.
+// room.spectatorView is what they have been shown so far; late joiners get it
+// too, so nobody can skip the delay by (re)joining.
+function publishToSpectators(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const view = spectatorView(room);
+    const publish = () => {
+        if (rooms.get(roomId) !== room) return;
+        room.spectatorView = view;
+        io.to(spectatorChannel(roomId)).emit('spectatorUpdate', { ...view, spectators: room.spectators.size });
+    };
+    if (SPECTATOR_DELAY_MS > 0) setTimeout(publish, SPECTATOR_DELAY_MS);
+    else publish();
+}
+
+function broadcastSpectatorCount(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    const count = room.spectators.size;
+    io.to(roomId).emit('spectatorCount', { count });
+    io.to(spectatorChannel(roomId)).emit('spectatorCount', { count });
+}
+
+function leaveSpectating(socket) {
+    const roomId = socket.data.spectating;
+    if (!roomId) return;
+    socket.data.spectating = null;
+    socket.leave(spectatorChannel(roomId));
+    const room = rooms.get(roomId);
+    if (room?.spectators.delete(socket.id)) broadcastSpectatorCount(roomId);
+}
+
+// ============ QUICK MATCH ============
+// executeQuickMatch escrowed both stakes and created the on-chain game: open a
+// room with both seats reserved and tell each player's sockets to take theirs.
+function openQuickMatchRoom(match) {
+    const existing = Array.from(rooms.values()).find(r => String(r.meta?.gameId) === match.gameId);
+    if (existing) return;
+
+    const roomId = generateRoomId();
+    const room = newRoom(roomId, [
+        { id: null, address: match.player1, color: 'white', stakeConfirmed: true },
+        { id: null, address: match.player2, color: 'black', stakeConfirmed: true }
+    ], {
+        gameId: match.gameId,
+        stake: match.stake,
+        timeControl: match.timeControl || DEFAULT_TIME_CONTROL
+    });
+    room.verified = true;
+    room.quickMatch = true;
+    rooms.set(roomId, room);
+
+    room.players.forEach(player => {
+        const sessionToken = issueSessionToken();
+        playerSessions.set(player.address, { socketId: null, roomId, reconnectTimer: null, token: sessionToken });
+        socketsForAddress(player.address).forEach(s => s.emit('quickMatchReady', {
+            roomId,
+            gameId: match.gameId,
+            color: player.color,
+            timeControl: room.meta.timeControl,
+            sessionToken
+        }));
+    });
+
+    persistRoom(roomId);
+    console.log(`⚡ Quick match room ${roomId} opened for game ${match.gameId}`);
 }
 
 // Socket handlers
 io.on('connection', (socket) => {
-    console.log('👤 Connected:', socket.id);
+    console.log('👤 Connected:', socket.id, socket.data.address ? `(${socket.data.address})` : '(anonymous)');
     let currentRoom = null;
     let playerNum = null;
     let walletAddress = null;
 
+    if (socket.data.address) {
+        socket.emit('authenticated', {
+            address: socket.data.address,
+            authToken: socket.data.authToken,
+            expiresAt: socket.data.authExpiresAt || null,
+            guestName: socket.data.guestName || null
+        });
+    }
+
+    // Guests play casual rooms and nothing that touches the chain
+    function refuseGuest(callback) {
+        if (!isGuest(socket.data.address)) return false;
+        callback({ error: 'Guests can only play casual games. Connect a wallet to play for stakes.' });
+        return true;
+    }
+
     // Create room
     socket.on('createRoom', async (data, callback) => {
-        console.log('📥 createRoom request received:', { gameId: data.gameId, wallet: data.walletAddress, stake: data.stake });
-        walletAddress = data.walletAddress.toLowerCase();
+        console.log('📥 createRoom request received:', { gameId: data.gameId, battleId: data.battleId, wallet: socket.data.address, stake: data.stake });
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        walletAddress = socket.data.address;
 
         // Check if player already has an active session
         if (playerSessions.has(walletAddress)) {
             const existingSession = playerSessions.get(walletAddress);
             const existingSocket = io.sockets.sockets.get(existingSession.socketId);
-            if (existingSocket && existingSocket.connected && rooms.has(existingSession.roomId)) {
+            const sessionRoom = rooms.get(existingSession.roomId);
+            if (existingSocket && existingSocket.connected && sessionRoom && !sessionRoom.gameOver) {
                 callback({ error: 'You already have an active game', roomId: existingSession.roomId });
                 return;
             } else {
@@ -255,71 +1059,290 @@ io.on('connection', (socket) => {
             }
         }
 
+        // Casual rooms have no stake: nothing is verified, signed or claimed on-chain
+        const escrow = ['battle', 'casual'].includes(data.escrow) ? data.escrow : 'game';
+        const escrowId = escrow === 'battle' ? data.battleId : data.gameId;
+        if (escrow !== 'casual') {
+            if (refuseGuest(callback)) return;
+            if (!/^\d+$/.test(String(escrowId))) {
+                callback({ error: `Invalid ${escrow} ID` });
+                return;
+            }
+            const existingRoom = roomForEscrow(escrow, escrowId);
+            if (existingRoom) {
+                callback({ error: `A room for this ${escrow} is already open`, roomId: existingRoom.id });
+                return;
+            }
+        }
+        let timeControl;
+        let rules;
+        let variant;
+        let startFen;
+        try {
+            timeControl = parseTimeControl(data.timeControl || data.timeLimit || DEFAULT_TIME_CONTROL);
+            rules = parseRoomRules(data.rules || {}, { staked: escrow !== 'casual' && ethers.BigNumber.from(data.stake || 0).gt(0) });
+            if (isGuest(walletAddress)) rules.rated = false; // guests have no rating
+            variant = parseVariant(data.variant);
+            startFen = data.fen ? validateStartFen(Chess, variant, data.fen) : initialFen(variant);
+            if (data.fen) rules.rated = false; // a prepared position could be used to farm rating
+        } catch (error) {
+            callback({ error: error.reason || error.message });
+            return;
+        }
+
+        // Rematch: the terms agreed in the previous room, seat reserved for the opponent
+        const rematch = data.rematchOf ? rematches.get(walletAddress) : null;
+        if (data.rematchOf) {
+            if (!rematch || rematch.previousRoomId !== data.rematchOf || rematch.expiresAt <= Date.now()) {
+                callback({ error: 'No pending rematch for this game' });
+                return;
+            }
+            if (escrow !== 'game' || String(data.stake) !== rematch.stake) {
+                callback({ error: 'A rematch is a game with the stake of the previous one' });
+                return;
+            }
+            timeControl = rematch.timeControl;
+            rules = { ...rematch.rules, color: 'white' }; // colors swap: the previous black player has white
+            variant = rematch.variant;
+            startFen = rematch.startFen;
+        }
+
         const roomId = generateRoomId();
-        const timeLimit = data.timeLimit || 5;
-        const initialTime = timeLimit * 60;
+        const room = newRoom(roomId, [{
+            id: socket.id,
+            address: walletAddress,
+            color: creatorColor(rules),
+            guestName: socket.data.guestName || null,
+            stakeConfirmed: escrow === 'casual'
+        }], {
+            escrow,
+            gameId: escrow === 'game' ? data.gameId : null,
+            battleId: escrow === 'battle' ? data.battleId : null,
+            stake: escrow === 'casual' ? '0' : data.stake,
+            timeControl,
+            rules,
+            variant,
+            startFen,
+            reservedFor: rematch?.opponent || null
+        });
+
+        rooms.set(roomId, room);
+        if (currentRoom && currentRoom !== roomId) socket.leave(currentRoom);
+        socket.join(roomId);
+        currentRoom = roomId;
+        playerNum = room.players[0].color === 'white' ? 1 : 2;
+
+        const sessionToken = issueSessionToken();
+        playerSessions.set(walletAddress, {
+            socketId: socket.id,
+            roomId,
+            reconnectTimer: null,
+            token: sessionToken
+        });
+
+        room.verified = escrow === 'casual';
+        persistRoom(roomId);
+        if (escrow === 'casual') {
+            console.log(`📦 Casual room ${roomId} created by ${displayName(room.players[0])}`);
+        } else {
+            console.log(`📦 Room ${roomId} created OPTIMISTICALLY by ${walletAddress} (${escrowOf(room).label}ID: ${escrowId})`);
+        }
+
+        callback({ success: true, roomId, sessionToken, expiresAt: roomExpiresAt(room), clock: room.clock.view(), color: room.players[0].color, rules, variant, startFen: room.meta.startFen, casual: escrow === 'casual' });
+        scheduleRoomExpiry(roomId);
+
+        if (rematch) {
+            rematches.delete(walletAddress);
+            socketsForAddress(rematch.opponent).forEach(s => s.emit('rematchCreated', {
+                roomId,
+                gameId: room.meta.gameId,
+                stake: room.meta.stake,
+                timeControl: room.meta.timeControl
+            }));
+            console.log(`🔁 Rematch of ${rematch.previousRoomId} opened as ${roomId}`);
+        }
+
+        // Background Verification
+        confirmPlayerStake(roomId, room.players[0]);
+    });
+
+    // Quick match: attach preferences to an on-chain queue entry and get live status
+    socket.on('quickMatchRegister', (data, callback) => {
+        if (typeof callback !== 'function') return;
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        if (refuseGuest(callback)) return;
+        if (!quickMatchMaker) {
+            callback({ error: 'Quick match is not available on this server' });
+            return;
+        }
+        if (!data?.queueId || !/^\d+$/.test(String(data.queueId))) {
+            callback({ error: 'Invalid queue ID' });
+            return;
+        }
+
+        // Matched while we were away: hand the seat back
+        const session = playerSessions.get(socket.data.address);
+        const entry = chainIndexer.getQueueEntry(data.queueId);
+        if (entry?.status === 'matched' && session) {
+            const room = rooms.get(session.roomId);
+            if (room && String(room.meta.gameId) === entry.gameId) {
+                const player = room.players.find(p => p.address === socket.data.address);
+                callback({ success: true, status: quickMatchMaker.statusFor(entry.queueId) });
+                socket.emit('quickMatchReady', {
+                    roomId: room.id,
+                    gameId: entry.gameId,
+                    color: player.color,
+                    timeControl: room.meta.timeControl,
+                    sessionToken: session.token
+                });
+                return;
+            }
+        }
+
+        let timeControl = null;
+        if (data.timeControl) {
+            try {
+                timeControl = parseTimeControl(data.timeControl).key;
+            } catch (error) {
+                callback({ error: error.message });
+                return;
+            }
+        }
+        callback(quickMatchMaker.register(data.queueId, socket.data.address, { timeControl }));
+    });
+
+    // Quick match: take the reserved seat in the room opened for the match
+    socket.on('quickMatchJoin', (data, callback) => {
+        if (typeof callback !== 'function') return;
+        const address = socket.data.address;
+        const session = address ? playerSessions.get(address) : null;
+        const room = session ? rooms.get(session.roomId) : null;
+
+        if (!room || room.id !== data?.roomId || !room.quickMatch) {
+            callback({ error: 'Quick match room not found' });
+            return;
+        }
+        if (!sessionTokenMatches(session, data.sessionToken)) {
+            callback({ error: 'Invalid session token' });
+            return;
+        }
+
+        const player = room.players.find(p => p.address === address);
+        player.id = socket.id;
+        session.socketId = socket.id;
+        socket.join(room.id);
+        currentRoom = room.id;
+        walletAddress = address;
+        playerNum = player.color === 'white' ? 1 : 2;
+
+        callback({ success: true, roomId: room.id, color: player.color });
+        startGameIfReady(room.id);
+    });
+
+    // The wallet's unfinished on-chain games, so stakes stuck in escrow can be recovered
+    socket.on('myOpenGames', (data, callback) => {
+        if (typeof callback !== 'function') return;
+        const address = socket.data.address;
+        if (!address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        if (refuseGuest(callback)) return;
+        if (!chainIndexer) {
+            callback({ error: 'Game index is not available yet' });
+            return;
+        }
 
-        const room = {
-            id: roomId,
-            players: [{
-                id: socket.id,
-                address: walletAddress,
-                color: 'white'
-            }],
-            meta: {
-                gameId: data.gameId,
-                stake: data.stake,
-                timeLimit: timeLimit,
-                createdAt: Date.now()
-            },
-            chess: new Chess(),
-            timers: { white: initialTime, black: initialTime, interval: null, turn: 'w' },
-            moves: [],
-            chatMessages: [],
-            started: false,
-            gameOver: false,
-            lastMoveTime: Date.now(),
-            verified: false
-        };
+        const games = chainIndexer.openFor(address).map(game => {
+            const room = roomForEscrow('game', game.gameId);
+            return {
+                gameId: game.gameId,
+                creator: game.creator,
+                opponent: game.opponent,
+                stake: game.stake,
+                status: game.status,
+                roomId: room?.id || null,
+                roomStarted: !!room?.started
+            };
+        });
+        callback({ success: true, games });
+    });
 
-        rooms.set(roomId, room);
-        socket.join(roomId);
-        currentRoom = roomId;
-        playerNum = 1;
+    // ============ PRACTICE (AI) GAMES ============
+    // Played move by move on the server so a win can be rewarded with a
+    // SESSION_REWARD signature.
+    function practiceError(callback, error) {
+        if (!(error instanceof SessionRewardError)) console.error('❌ Practice session error:', error);
+        callback({ error: error instanceof SessionRewardError ? error.message : 'Practice session error' });
+    }
 
-        playerSessions.set(walletAddress, {
-            socketId: socket.id,
-            roomId,
-            reconnectTimer: null
-        });
+    socket.on('practiceStart', (data, callback) => {
+        if (typeof callback !== 'function') return;
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        if (refuseGuest(callback)) return;
+        try {
+            callback({ success: true, ...practiceSessions.open(socket.data.address, data || {}) });
+        } catch (error) {
+            practiceError(callback, error);
+        }
+    });
 
-        console.log(`📦 Room ${roomId} created OPTIMISTICALLY by ${walletAddress} (GameID: ${data.gameId})`);
+    socket.on('practiceMove', async (data, callback) => {
+        if (typeof callback !== 'function') return;
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        if (!checkRateLimit(socket.id + '_practice', RATE_LIMIT_MAX_REQUESTS, 10000) ||
+            !checkRateLimit('practice_' + socket.data.address, PRACTICE_MOVES_PER_WALLET, 10000)) {
+            callback({ error: 'Too many moves' });
+            return;
+        }
+        try {
+            callback({ success: true, ...await practiceSessions.move(data?.sessionId, socket.data.address, data?.move) });
+        } catch (error) {
+            practiceError(callback, error);
+        }
+    });
 
-        callback({ success: true, roomId });
+    socket.on('practiceResign', async (data, callback) => {
+        if (typeof callback !== 'function') return;
+        try {
+            callback({ success: true, result: await practiceSessions.resign(data?.sessionId, socket.data.address) });
+        } catch (error) {
+            practiceError(callback, error);
+        }
+    });
 
-        // Background Verification
-        if (!DEV_MODE) {
-            verifyStake(data.gameId, walletAddress, data.stake).then(stakeVerified => {
-                if (!stakeVerified) {
-                    console.log(`❌ Background verification failed for ${roomId}. Closing room.`);
-                    io.to(roomId).emit('error', { message: 'Stake verification failed. Room closing.' });
-                    io.to(roomId).emit('gameCancelled', { reason: 'Stake verification failed' });
-                    cleanupRoom(roomId);
-                } else {
-                    console.log(`✅ Background verification SUCCESS for ${roomId}`);
-                    const r = rooms.get(roomId);
-                    if (r) r.verified = true;
-                }
-            });
-        } else {
-            room.verified = true;
+    // Signed session rewards of this wallet, claimed or not
+    socket.on('sessionRewards', async (data, callback) => {
+        if (typeof callback !== 'function') return;
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        if (refuseGuest(callback)) return;
+        try {
+            callback({ success: true, rewards: await practiceSessions.rewardsFor(socket.data.address) });
+        } catch (error) {
+            practiceError(callback, error);
         }
     });
 
     // Join room
     socket.on('joinRoom', async (data, callback) => {
-        const { roomId: targetRoomId, walletAddress: joinWallet, gameId } = data;
-        walletAddress = joinWallet.toLowerCase();
+        const { roomId: targetRoomId, gameId, battleId } = data;
+        if (!socket.data.address) {
+            callback({ error: 'Wallet not authenticated. Please sign in again.' });
+            return;
+        }
+        walletAddress = socket.data.address;
 
         const room = rooms.get(targetRoomId);
 
@@ -343,60 +1366,50 @@ io.on('connection', (socket) => {
             return;
         }
 
-        room.players.push({
+        if (room.meta.reservedFor && room.meta.reservedFor !== walletAddress) {
+            callback({ error: 'This room is reserved for a rematch' });
+            return;
+        }
+
+        const escrow = escrowOf(room);
+        if (escrow.kind !== 'casual' && refuseGuest(callback)) return;
+        if (isGuest(walletAddress) && room.meta.rules.rated) {
+            callback({ error: 'This game is rated. Connect a wallet to play it.' });
+            return;
+        }
+        const claimedId = escrow.kind === 'battle' ? battleId : escrow.kind === 'game' ? gameId : null;
+        if (claimedId && String(claimedId) !== String(escrow.id)) {
+            callback({ error: `${escrow.label} ID does not match this room` });
+            return;
+        }
+
+        const joiner = {
             id: socket.id,
             address: walletAddress,
-            color: 'black'
-        });
+            color: joinerColor(room),
+            guestName: socket.data.guestName || null,
+            stakeConfirmed: escrow.kind === 'casual'
+        };
+        room.players.push(joiner);
+        if (currentRoom && currentRoom !== targetRoomId) socket.leave(currentRoom);
         socket.join(targetRoomId);
         currentRoom = targetRoomId;
-        playerNum = 2;
+        playerNum = joiner.color === 'white' ? 1 : 2;
 
+        const sessionToken = issueSessionToken();
         playerSessions.set(walletAddress, {
             socketId: socket.id,
             roomId: targetRoomId,
-            reconnectTimer: null
-        });
-
-        room.started = true;
-
-        // Background verification for joiner
-        if (!DEV_MODE) {
-            verifyStake(gameId, walletAddress, room.meta.stake).then(stakeVerified => {
-                if (!stakeVerified) {
-                    console.log(`❌ Background verification failed for JOINER ${walletAddress} in room ${targetRoomId}`);
-                    io.to(targetRoomId).emit('error', { message: 'Opponent stake verification failed. Game cancelled.' });
-                    io.to(targetRoomId).emit('gameCancelled', { reason: 'Opponent stake verification failed' });
-                    cleanupRoom(targetRoomId);
-                } else {
-                    console.log(`✅ Background verification SUCCESS for JOINER ${walletAddress}`);
-                }
-            });
-        }
-
-        // Emit startGame to each player with their specific data
-        io.to(room.players[0].id).emit('startGame', {
-            playerNumber: 1,
-            color: 'white',
-            opponent: room.players[1].address,
-            timers: { white: room.timers.white, black: room.timers.black },
-            chatHistory: room.chatMessages,
-            gameId: room.meta.gameId,
-            meta: room.meta
+            reconnectTimer: null,
+            token: sessionToken
         });
 
-        io.to(room.players[1].id).emit('startGame', {
-            playerNumber: 2,
-            color: 'black',
-            opponent: room.players[0].address,
-            timers: { white: room.timers.white, black: room.timers.black },
-            chatHistory: room.chatMessages,
-            gameId: room.meta.gameId,
-            meta: room.meta
-        });
+        persistRoom(targetRoomId);
 
-        console.log(`🎮 Game started in ${targetRoomId}`);
-        callback({ success: true });
+        // The game starts once both stakes are confirmed on-chain (right away in casual rooms)
+        callback({ success: true, sessionToken, awaitingStake: escrow.kind !== 'casual', color: joiner.color });
+        confirmPlayerStake(targetRoomId, joiner);
+        startGameIfReady(targetRoomId);
     });
 
     // Move
@@ -423,6 +1436,16 @@ io.on('connection', (socket) => {
             return;
         }
 
+        // The flag timeout may not have fired yet; a move after the flag doesn't count
+        const now = Date.now();
+        const flagged = room.clock.flagged(now);
+        if (flagged) {
+            socket.emit('moveRejected', { reason: 'Out of time' });
+            const result = timeoutResult(room.chess, flagged);
+            handleGameEnd(currentRoom, result.winner, result.reason);
+            return;
+        }
+
         try {
             const move = room.chess.move(data.move);
 
@@ -431,20 +1454,24 @@ io.on('connection', (socket) => {
                 return;
             }
 
+            const moveTime = room.clock.move(now);
             room.moves.push(move);
-            room.lastMoveTime = Date.now();
-
-            if (!room.timers.interval) {
-                startRoomTimer(currentRoom);
-            }
+            room.pendingTakeback = null; // a request is about the position it was made in
+            room.lastMoveTime = now;
+            persistRoom(currentRoom);
+            scheduleFlag(currentRoom);
+            scheduleAbort(currentRoom);
 
             io.to(currentRoom).emit('moveAccepted', {
                 move: move,
                 fen: room.chess.fen(),
                 pgn: room.chess.pgn(),
                 playerNum: playerNum,
-                turn: room.chess.turn()
+                turn: room.chess.turn(),
+                clock: room.clock.view(now),
+                moveTime
             });
+            publishToSpectators(currentRoom);
 
             let winner = null;
             let reason = '';
@@ -452,7 +1479,12 @@ io.on('connection', (socket) => {
 
             console.log(`📊 After move - checking game state: in_checkmate=${room.chess.in_checkmate()}, in_draw=${room.chess.in_draw()}, turn=${currentColor}`);
 
-            if (room.chess.in_checkmate()) {
+            const decided = variantResult(room.chess);
+            if (decided) {
+                winner = decided.winner;
+                reason = decided.reason;
+                console.log(`🏁 ${reason} (${room.meta.variant})! Winner: ${winner}`);
+            } else if (room.chess.in_checkmate()) {
                 winner = currentColor === 'w' ? 'black' : 'white';
                 reason = 'checkmate';
                 console.log(`♚ CHECKMATE detected! Winner: ${winner}`);
@@ -492,15 +1524,17 @@ io.on('connection', (socket) => {
 
         if (room.pendingDrawOffer) return;
 
-        room.pendingDrawOffer = socket.id;
+        // Sofia rules: no draw by agreement before the room's move number
+        const drawOffersFrom = room.meta.rules?.drawOffersFrom || 0;
+        if (roomMoveNumber(room.chess, room.meta.startFen) < drawOffersFrom) {
+            socket.emit('drawOfferRejected', { reason: `Draw offers are allowed from move ${drawOffersFrom}` });
+            return;
+        }
 
-        room.drawOfferTimeout = setTimeout(() => {
-            if (room.pendingDrawOffer === socket.id) {
-                room.pendingDrawOffer = null;
-                console.log(`⏰ Draw offer expired in room ${currentRoom}`);
-                io.to(socket.id).emit('drawDeclined');
-            }
-        }, 30000);
+        // Kept by wallet, not socket, so the offer survives a reconnect or restart
+        room.pendingDrawOffer = socket.data.address;
+        scheduleDrawOfferExpiry(currentRoom);
+        persistRoom(currentRoom);
 
         const opponent = room.players.find(p => p.id !== socket.id);
         if (opponent) {
@@ -514,7 +1548,7 @@ io.on('connection', (socket) => {
         const room = rooms.get(currentRoom);
         if (!room || room.gameOver) return;
 
-        if (!room.pendingDrawOffer || room.pendingDrawOffer === socket.id) return;
+        if (!room.pendingDrawOffer || room.pendingDrawOffer === socket.data.address) return;
 
         if (room.drawOfferTimeout) clearTimeout(room.drawOfferTimeout);
         room.pendingDrawOffer = null;
@@ -528,10 +1562,11 @@ io.on('connection', (socket) => {
         const room = rooms.get(currentRoom);
         if (!room || room.gameOver) return;
 
-        if (!room.pendingDrawOffer || room.pendingDrawOffer === socket.id) return;
+        if (!room.pendingDrawOffer || room.pendingDrawOffer === socket.data.address) return;
 
         if (room.drawOfferTimeout) clearTimeout(room.drawOfferTimeout);
         room.pendingDrawOffer = null;
+        persistRoom(currentRoom);
         console.log(`❌ Draw declined in room ${currentRoom}`);
 
         const opponent = room.players.find(p => p.id !== socket.id);
@@ -540,6 +1575,77 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Rematch, offered and answered in the room that just ended
+    function rematchSeats(callback) {
+        const room = currentRoom ? rooms.get(currentRoom) : null;
+        const player = room?.players.find(p => p.id === socket.id);
+        const opponent = room?.players.find(p => p !== player);
+        if (!room || !room.gameOver || !player) {
+            callback({ error: 'No finished game to rematch' });
+            return null;
+        }
+        if (escrowOf(room).kind !== 'game') {
+            callback({ error: 'Rematches are only offered for staked games' });
+            return null;
+        }
+        if (!opponent?.id || !io.sockets.sockets.get(opponent.id)?.connected) {
+            callback({ error: 'Your opponent has left' });
+            return null;
+        }
+        return { room, player, opponent };
+    }
+
+    socket.on('offerRematch', (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        const seats = rematchSeats(reply);
+        if (!seats) return;
+        const { room, player, opponent } = seats;
+
+        // Both asked for one: that's an agreement
+        if (room.rematchOffer === opponent.address) {
+            startRematch(room);
+            reply({ success: true, accepted: true });
+            return;
+        }
+        if (room.rematchOffer) {
+            reply({ success: true });
+            return;
+        }
+
+        room.rematchOffer = player.address;
+        clearTimeout(room.cleanupTimer);
+        room.cleanupTimer = setTimeout(() => cleanupRoom(room.id), REMATCH_OFFER_TIMEOUT_MS);
+        io.to(opponent.id).emit('rematchOffered', {
+            from: player.address,
+            stake: room.meta.stake,
+            timeControl: room.meta.timeControl
+        });
+        console.log(`🔁 Rematch offered in ${room.id}`);
+        reply({ success: true });
+    });
+
+    socket.on('acceptRematch', (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        const seats = rematchSeats(reply);
+        if (!seats) return;
+        if (seats.room.rematchOffer !== seats.opponent.address) {
+            reply({ error: 'No rematch offer to accept' });
+            return;
+        }
+        startRematch(seats.room);
+        reply({ success: true });
+    });
+
+    socket.on('declineRematch', () => {
+        const room = currentRoom ? rooms.get(currentRoom) : null;
+        const player = room?.players.find(p => p.id === socket.id);
+        if (!room?.rematchOffer || !player || room.rematchOffer === player.address) return;
+
+        const offerer = room.players.find(p => p.address === room.rematchOffer);
+        room.rematchOffer = null;
+        if (offerer?.id) io.to(offerer.id).emit('rematchDeclined', { reason: 'Your opponent declined' });
+    });
+
     // Chat message
     socket.on('chatMessage', (data) => {
         if (!checkRateLimit(socket.id + '_chat', RATE_LIMIT_CHAT_MAX, 60000)) {
@@ -574,8 +1680,7 @@ io.on('connection', (socket) => {
             }
         }
 
-        const lowerWallet = walletAddress.toLowerCase();
-        const senderDisplay = registeredUsers[lowerWallet] || `${walletAddress.slice(0, 6)}...${walletAddress.slice(-4)}`;
+        const senderDisplay = displayName({ address: walletAddress.toLowerCase(), guestName: socket.data.guestName });
 
         const chatMsg = {
             id: Date.now() + Math.random(),
@@ -613,10 +1718,12 @@ io.on('connection', (socket) => {
             return callback({ success: false, error: 'Too many requests' });
         }
 
-        const wallet = data.walletAddress?.toLowerCase();
+        const wallet = socket.data.address;
         let desiredName = data.username;
 
-        if (!wallet || !desiredName) return callback({ success: false, error: 'Missing data' });
+        if (!wallet) return callback({ success: false, error: 'Wallet not authenticated' });
+        if (isGuest(wallet)) return callback({ success: false, error: 'Guests cannot register a username' });
+        if (!desiredName) return callback({ success: false, error: 'Missing data' });
 
         if (registeredUsers[wallet]) {
             return callback({ success: false, error: 'This wallet already has a registered username' });
@@ -650,19 +1757,82 @@ io.on('connection', (socket) => {
         socket.emit('pongHeartbeat', clientTime);
     });
 
+    // Takebacks, in rooms whose rules allow them. The requester's last move is
+    // taken back, together with the opponent's reply if there was one.
+    socket.on('requestTakeback', (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        const room = currentRoom ? rooms.get(currentRoom) : null;
+        const player = room?.players.find(p => p.id === socket.id);
+        if (!room || !room.started || room.gameOver || !player) {
+            reply({ error: 'No game in progress' });
+            return;
+        }
+        if (!room.meta.rules?.takebacks) {
+            reply({ error: 'Takebacks are not allowed in this room' });
+            return;
+        }
+
+        const color = player.color === 'white' ? 'w' : 'b';
+        const history = room.chess.history({ verbose: true });
+        const plies = history[history.length - 1]?.color === color ? 1 : 2;
+        if (history.length < plies || history[history.length - plies].color !== color) {
+            reply({ error: 'You have no move to take back' });
+            return;
+        }
+
+        room.pendingTakeback = { from: player.address, plies };
+        const opponent = room.players.find(p => p !== player);
+        if (opponent?.id) io.to(opponent.id).emit('takebackRequested', { plies });
+        reply({ success: true });
+    });
+
+    socket.on('acceptTakeback', (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        const room = currentRoom ? rooms.get(currentRoom) : null;
+        const player = room?.players.find(p => p.id === socket.id);
+        const request = room?.pendingTakeback;
+        if (!room || room.gameOver || !player || !request || request.from === player.address) {
+            reply({ error: 'No takeback to accept' });
+            return;
+        }
+
+        const now = Date.now();
+        room.pendingTakeback = null;
+        for (let i = 0; i < request.plies; i++) {
+            room.chess.undo();
+            room.moves.pop();
+        }
+        room.clock.takeback(request.plies, now);
+        room.lastMoveTime = now;
+        persistRoom(currentRoom);
+        scheduleFlag(currentRoom);
+        scheduleAbort(currentRoom);
+
+        io.to(currentRoom).emit('takebackAccepted', {
+            plies: request.plies,
+            fen: room.chess.fen(),
+            pgn: room.chess.pgn(),
+            turn: room.chess.turn(),
+            clock: room.clock.view(now)
+        });
+        publishToSpectators(currentRoom);
+        console.log(`↩️ Takeback of ${request.plies} ply in room ${currentRoom}`);
+        reply({ success: true });
+    });
+
+    socket.on('declineTakeback', () => {
+        const room = currentRoom ? rooms.get(currentRoom) : null;
+        const player = room?.players.find(p => p.id === socket.id);
+        const request = room?.pendingTakeback;
+        if (!player || !request || request.from === player.address) return;
+
+        room.pendingTakeback = null;
+        socketsForAddress(request.from).forEach(s => s.emit('takebackDeclined'));
+    });
+
     // List rooms
     socket.on('listRooms', (callback) => {
-        const openRooms = [];
-        rooms.forEach((room, roomId) => {
-            if (!room.started && room.players.length < 2) {
-                openRooms.push({
-                    roomId,
-                    playersCount: room.players.length,
-                    meta: room.meta
-                });
-            }
-        });
-        callback(openRooms);
+        callback(listOpenRooms());
     });
 
     // Get room info
@@ -681,10 +1851,53 @@ io.on('connection', (socket) => {
             gameId: room.meta?.gameId,
             stake: room.meta?.stake,
             timeLimit: room.meta?.timeLimit,
+            timeControl: room.meta?.timeControl,
+            rules: room.meta?.rules,
+            variant: room.meta?.variant,
+            startFen: room.meta?.startFen,
+            casual: room.meta?.escrow === 'casual',
+            host: displayName(room.players[0]),
+            ...roomRatingInfo(room, socket.data.address),
+            color: joinerColor(room),
             playersCount: room.players.length
         });
     });
 
+    // Watch a game read-only; works without a wallet
+    socket.on('spectateRoom', (data, callback) => {
+        if (typeof callback !== 'function') return;
+        if (!checkRateLimit(socket.id + '_spectate', 10, 60000)) {
+            callback({ error: 'Too many requests. Please slow down.' });
+            return;
+        }
+        const room = rooms.get(String(data?.roomId || ''));
+        if (!room) {
+            callback({ error: 'Room not found' });
+            return;
+        }
+        if (currentRoom === room.id) {
+            callback({ error: 'You are playing in this game' });
+            return;
+        }
+        if (room.spectators.size >= MAX_SPECTATORS) {
+            callback({ error: 'This game has too many spectators' });
+            return;
+        }
+
+        leaveSpectating(socket);
+        socket.data.spectating = room.id;
+        socket.join(spectatorChannel(room.id));
+        room.spectators.add(socket.id);
+        broadcastSpectatorCount(room.id);
+
+        const view = room.spectatorView || spectatorView(room);
+        room.spectatorView = view;
+        console.log(`👁️ ${socket.id} is watching ${room.id} (${room.spectators.size} spectator(s))`);
+        callback({ success: true, ...view, spectators: room.spectators.size });
+    });
+
+    socket.on('leaveSpectate', () => leaveSpectating(socket));
+
     // Find room by blockchain gameId
     socket.on('findRoomByGameId', (gameId, callback) => {
         console.log(`🔍 Searching for room with gameId: ${gameId}`);
@@ -694,7 +1907,9 @@ io.on('connection', (socket) => {
 
         rooms.forEach((room, roomId) => {
             if (room.meta?.gameId?.toString() === gameId?.toString()) {
-                if (!room.started && room.players.length < 2) {
+                // A rematch room is only found by the wallet it is reserved for
+                const reserved = room.meta.reservedFor && room.meta.reservedFor !== socket.data.address;
+                if (!room.started && room.players.length < 2 && !reserved) {
                     foundRoom = room;
                     foundRoomId = roomId;
                 }
@@ -723,33 +1938,65 @@ io.on('connection', (socket) => {
             gameId: foundRoom.meta?.gameId,
             stake: foundRoom.meta?.stake,
             timeLimit: foundRoom.meta?.timeLimit,
+            timeControl: foundRoom.meta?.timeControl,
+            rules: foundRoom.meta?.rules,
+            variant: foundRoom.meta?.variant,
+            startFen: foundRoom.meta?.startFen,
+            ...roomRatingInfo(foundRoom, socket.data.address),
+            color: joinerColor(foundRoom),
             playersCount: foundRoom.players.length
         });
     });
 
+    // Find open room by blockchain battleId
+    socket.on('findRoomByBattleId', (battleId, callback) => {
+        if (typeof callback !== 'function') return;
+        const found = Array.from(rooms.values()).find(room =>
+            room.meta?.escrow === 'battle' && String(room.meta.battleId) === String(battleId) &&
+            !room.started && room.players.length < 2);
+
+        if (!found) {
+            callback({ error: 'No open room found for this Battle ID' });
+            return;
+        }
+        callback({
+            roomId: found.id,
+            battleId: found.meta.battleId,
+            stake: found.meta.stake,
+            timeLimit: found.meta.timeLimit,
+            timeControl: found.meta.timeControl,
+            expiresAt: found.meta.expiresAt || null,
+            rules: found.meta.rules,
+            variant: found.meta.variant,
+            startFen: found.meta.startFen,
+            ...roomRatingInfo(found, socket.data.address),
+            color: joinerColor(found),
+            playersCount: found.players.length
+        });
+    });
+
     // Reconnect
     socket.on('reconnect', async (data, callback) => {
-        const reconnectWallet = data.walletAddress?.toLowerCase();
-        const signature = data.signature;
+        const reconnectWallet = socket.data.address;
 
         if (!reconnectWallet) {
-            callback({ success: false, error: 'No wallet address provided' });
+            callback({ success: false, error: 'Wallet not authenticated' });
             return;
         }
 
         // SESSION TOKEN: İmza yerine localStorage'daki token kullan
         // Chess oyunu için imza zorunluluğu kaldırıldı — MetaMask popup yok
-        const sessionToken = data.sessionToken;
         const session = playerSessions.get(reconnectWallet);
 
-        // Token varsa doğrula, yoksa sadece wallet adresiyle session'a bak
-        if (sessionToken && session?.token && session.token !== sessionToken) {
-            callback({ success: false, error: 'Invalid session token' });
+        if (!session || !session.roomId) {
+            callback({ success: false, error: 'No active session found' });
             return;
         }
 
-        if (!session || !session.roomId) {
-            callback({ success: false, error: 'No active session found' });
+        // The wallet alone is not enough - the seat's current token must be presented
+        if (!sessionTokenMatches(session, data?.sessionToken)) {
+            console.log(`⚠️ Reconnect rejected for ${reconnectWallet}: invalid session token`);
+            callback({ success: false, error: 'Invalid session token' });
             return;
         }
 
@@ -773,6 +2020,9 @@ io.on('connection', (socket) => {
 
         player.id = socket.id;
         session.socketId = socket.id;
+        // Rotate: the token just used can't be replayed
+        session.token = issueSessionToken();
+        persistRoom(session.roomId);
 
         currentRoom = session.roomId;
         walletAddress = reconnectWallet;
@@ -781,12 +2031,28 @@ io.on('connection', (socket) => {
         socket.join(session.roomId);
 
         const opponent = room.players.find(p => p.address !== reconnectWallet);
-        if (opponent) {
+        if (opponent && opponent.id) {
             io.to(opponent.id).emit('opponentReconnected', {
                 message: 'Opponent has reconnected!'
             });
         }
 
+        // The opponent's offer is still waiting for an answer
+        if (room.pendingDrawOffer && room.pendingDrawOffer !== reconnectWallet && !room.gameOver) {
+            socket.emit('drawOffered');
+        }
+
+        // Restored after a restart: resume the clock once everyone is back
+        if (room.restored && room.started && !room.gameOver && room.players.every(p => p.id)) {
+            room.restored = false;
+            if (room.restoreTimer) {
+                clearTimeout(room.restoreTimer);
+                room.restoreTimer = null;
+            }
+            resumeClock(session.roomId);
+            scheduleAbort(session.roomId);
+        }
+
         console.log(`🔄 Player ${reconnectWallet} reconnected to ${session.roomId}`);
 
         callback({
@@ -795,37 +2061,57 @@ io.on('connection', (socket) => {
             playerNumber: playerNum,
             color: player.color,
             gameId: room.meta?.gameId,
+            battleId: room.meta?.battleId || null,
+            casual: room.meta.escrow === 'casual',
+            variant: room.meta.variant,
+            startFen: room.meta.startFen,
             fen: room.chess.fen(),
             pgn: room.chess.pgn(),
-            timers: { white: room.timers.white, black: room.timers.black },
+            clock: room.clock.view(),
+            moveTimes: room.clock.moveTimes,
+            spectators: room.spectators.size,
             chatHistory: room.chatMessages || [],
             gameOver: room.gameOver,
             winner: room.winner,
             reason: room.endReason,
             opponent: opponent?.address,
             signatureWhite: room.signatureWhite,
-            signatureBlack: room.signatureBlack
+            signatureBlack: room.signatureBlack,
+            sessionToken: session.token
         });
     });
 
     // On-demand signature delivery for claim recovery
-    socket.on('requestSignature', ({ gameId, walletAddress: reqWallet }, callback) => {
+    socket.on('requestSignature', ({ gameId, battleId }, callback) => {
         if (typeof callback !== 'function') return;
+        const kind = battleId ? 'battle' : 'game';
+        const id = battleId || gameId;
+        const reqWallet = socket.data.address;
+        if (!reqWallet) {
+            callback({ signature: null, error: 'Wallet not authenticated' });
+            return;
+        }
 
         let foundSig = null;
         rooms.forEach((room) => {
-            if (String(room.meta?.gameId) !== String(gameId)) return;
+            const escrow = escrowOf(room);
+            if (escrow.kind !== kind || String(escrow.id) !== String(id)) return;
             if (!room.gameOver) return;
             const player = room.players.find(p => p.address?.toLowerCase() === reqWallet?.toLowerCase());
             if (!player) return;
             foundSig = player.color === 'white' ? room.signatureWhite : room.signatureBlack;
         });
 
+        // Room already cleaned up - fall back to the durable ledger
+        if (!foundSig) {
+            foundSig = ledger.signatureFor(ledgerKey(kind, id), reqWallet);
+        }
+
         if (foundSig) {
-            console.log(`📝 Signature delivered on-demand for gameId ${gameId} to ${reqWallet}`);
+            console.log(`📝 Signature delivered on-demand for ${kind}Id ${id} to ${reqWallet}`);
             callback({ signature: foundSig });
         } else {
-            console.warn(`⚠️ requestSignature: No signature found for gameId ${gameId} / ${reqWallet}`);
+            console.warn(`⚠️ requestSignature: No signature found for ${kind}Id ${id} / ${reqWallet}`);
             callback({ signature: null, error: 'Signature not available' });
         }
     });
@@ -833,10 +2119,22 @@ io.on('connection', (socket) => {
     // Disconnect
     socket.on('disconnect', () => {
         console.log('👋 Disconnected:', socket.id);
+        leaveSpectating(socket);
 
         if (currentRoom && walletAddress) {
             const room = rooms.get(currentRoom);
-            if (room && !room.gameOver) {
+            if (room && !room.started) {
+                // Nothing to lose yet: a staked room stays open until it expires or is
+                // cancelled on-chain, a casual one closes if its creator doesn't return
+                const session = playerSessions.get(walletAddress);
+                if (session && room.meta.escrow === 'casual') {
+                    const roomId = currentRoom;
+                    session.reconnectTimer = setTimeout(() => {
+                        const stale = rooms.get(roomId);
+                        if (stale && !stale.started) cleanupRoom(roomId);
+                    }, RECONNECT_TIMEOUT_MS);
+                }
+            } else if (room && !room.gameOver) {
                 const opponentId = room.players.find(p => p.address !== walletAddress)?.id;
                 if (opponentId) {
                     io.to(opponentId).emit('opponentDisconnected', {
@@ -866,6 +2164,22 @@ async function handleGameEnd(roomId, winner, reason) {
     const room = rooms.get(roomId);
     if (!room || room.gameOver) return;
 
+    // Only a started game with both seats taken has a result to sign. Rooms
+    // nobody joined close through expireRoom or a cancel on-chain.
+    if (!room.started || room.players.length < 2) {
+        console.warn(`⚠️ Ignoring ${reason} in ${roomId}: the game has not started`);
+        return;
+    }
+
+    // Resigning, disconnecting or flagging before both sides have moved doesn't
+    // lose the game: it is aborted and both stakes go back through draw signatures.
+    // A result on the board (mate from a custom FEN on move one) still stands.
+    if (isUnplayed(room) && ABORTABLE_REASONS.has(reason)) {
+        console.log(`↩️ ${reason} before both sides moved in ${roomId}, aborting instead`);
+        winner = 'draw';
+        reason = 'aborted';
+    }
+
     console.log(`🏁 Game ended in ${roomId}: ${winner} wins (${reason})`);
 
     room.gameOver = true;
@@ -874,169 +2188,215 @@ async function handleGameEnd(roomId, winner, reason) {
     room.signatureWhite = null;
     room.signatureBlack = null;
 
-    if (room.timers.interval) {
-        clearInterval(room.timers.interval);
-        room.timers.interval = null;
-    }
-
-    let whiteScore = 0;
-    let blackScore = 0;
-
-    if (winner === 'white') {
-        whiteScore = 1000;
-        blackScore = 0;
-    } else if (winner === 'black') {
-        whiteScore = 0;
-        blackScore = 1000;
-    } else {
-        whiteScore = 500;
-        blackScore = 500;
-    }
+    room.clock.stop();
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+    clearTimeout(room.abortTimer);
+    room.abortTimer = null;
+    publishToSpectators(roomId);
 
     const whitePlayer = room.players.find(p => p.color === 'white');
     const blackPlayer = room.players.find(p => p.color === 'black');
     const winnerAddress = winner === 'white' ? whitePlayer?.address :
         winner === 'black' ? blackPlayer?.address : null;
+    const ratings = rateGame(room, winner, reason, whitePlayer, blackPlayer);
 
     let signatureWhite = null;
     let signatureBlack = null;
 
     // FIX: deadline is now properly defined
-    const deadline = Math.floor(Date.now() / 1000) + GAME_END_DEADLINE_SECONDS;
+    let deadline = Math.floor(Date.now() / 1000) + GAME_END_DEADLINE_SECONDS;
 
-    const gameId = room.meta?.gameId;
-    if (!gameId) {
-        console.error(`❌ No gameId found for room ${roomId}, cannot generate signatures`);
+    const escrow = escrowOf(room);
+    if (!escrow.id) {
+        console.error(`❌ No ${escrow.kind}Id found for room ${roomId}, cannot generate signatures`);
         return;
     }
 
+    // Never sign two different results for the same on-chain game or battle.
+    // Casual rooms have nothing staked, so nothing is signed for them.
+    let ledgerEntry = null;
+    let ledgerConflict = false;
     try {
-        if (!process.env.SIGNER_PRIVATE_KEY) {
-            console.error("❌ SIGNER_PRIVATE_KEY missing in .env!");
-        } else {
-            const signer = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY);
-            console.log(`📝 Signing with wallet address: ${signer.address}`);
-            // chainId hardcoded = 8453 (Base mainnet) — dynamic getNetwork() can return wrong chain under RPC pressure
-            const chainId = 8453;
-
-            const domain = {
-                name: "Coffy",
-                version: "1",
-                chainId: 8453,
-                // HARDCODED: Never rely on imported moduleAddress for signing — always use the exact deployed contract address
-                verifyingContract: '0xEb00A304DD1aB9A5bC995d4eD9cAFc190bC593Ea'
-            };
-
-            const types = {
-                GameWin: [
-                    { name: "id", type: "uint256" },
-                    { name: "winner", type: "address" }
-                ],
-                GameDraw: [
-                    { name: "id", type: "uint256" }
-                ]
-            };
-
-            if (winner !== 'draw') {
-                const checksumWinner = ethers.utils.getAddress(winnerAddress);
-                const value = {
-                    id: ethers.BigNumber.from(gameId),
-                    winner: checksumWinner
-                };
-
-                // DEBUG: Log exact signing parameters
-                console.log(`🔍 SIGN DEBUG: gameId=${gameId} winner=${checksumWinner} chainId=8453 contract=${moduleAddress}`);
-
-                const sig = await signer._signTypedData(domain, { GameWin: types.GameWin }, value);
+        if (escrow.kind !== 'casual') ledgerEntry = ledger.check(escrow.key, { winner, winnerAddress });
+    } catch (error) {
+        ledgerConflict = true;
+        console.error(`❌ LEDGER CONFLICT: ${error.message}`);
+    }
 
-                // DEBUG: Log first 20 chars of sig to verify
-                console.log(`🔍 SIG FIRST20: ${sig.substring(0, 22)}`);
+    if (ledgerEntry) {
+        // Same result already signed (e.g. a restored room) - hand back the original signatures
+        signatureWhite = ledgerEntry.signatureWhite;
+        signatureBlack = ledgerEntry.signatureBlack;
+        deadline = ledgerEntry.deadline;
+        console.log(`📒 Reusing ledger signatures for ${escrow.kind} ${escrow.id}`);
+    } else if (!ledgerConflict && escrow.kind !== 'casual') {
+        try {
+            if (!resultSigner) {
+                console.error("❌ No result signer configured (SIGNER_KEYSTORE, SIGNER_URL or SIGNER_PRIVATE_KEY)!");
+            } else if (winner !== 'draw') {
+                const sig = escrow.kind === 'battle'
+                    ? await resultSigner.signBattleWin(escrow.id, winnerAddress)
+                    : await resultSigner.signGameWin(escrow.id, winnerAddress);
+                console.log(`🔍 SIGN DEBUG: ${escrow.kind}Id=${escrow.id} winner=${winnerAddress} scheme=${resultSigner.scheme} chainId=${resultSigner.chainId} contract=${resultSigner.contractAddress}`);
 
                 if (winner === 'white') signatureWhite = sig;
                 else signatureBlack = sig;
 
-                console.log(`✅ GAME_WIN Signature created for ${winnerAddress}`);
+                console.log(`✅ ${escrow.kind === 'battle' ? 'BATTLE_WIN' : 'GAME_WIN'} Signature created for ${winnerAddress}`);
             } else {
-                const value = { id: ethers.BigNumber.from(gameId) };
-                const sig = await signer._signTypedData(domain, { GameDraw: types.GameDraw }, value);
+                // The claimer is part of the signed message, so each player gets their own draw signature
+                const signDraw = escrow.kind === 'battle' ? resultSigner.signBattleDraw : resultSigner.signGameDraw;
+                signatureWhite = await signDraw(escrow.id, whitePlayer.address);
+                signatureBlack = await signDraw(escrow.id, blackPlayer.address);
+                console.log(`✅ ${escrow.kind === 'battle' ? 'BATTLE_DRAW' : 'GAME_DRAW'} Signatures created for both players`);
+            }
+        } catch (error) {
+            console.error("❌ Signature generation error:", error);
+        }
 
-                signatureWhite = sig;
-                signatureBlack = sig;
-                console.log(`✅ GAME_DRAW Signatures created for both players`);
+        if (signatureWhite || signatureBlack) {
+            try {
+                ledger.record({
+                    gameId: escrow.key,
+                    escrow: escrow.kind,
+                    winner,
+                    reason,
+                    winnerAddress: winnerAddress || null,
+                    whiteAddress: whitePlayer?.address || null,
+                    blackAddress: blackPlayer?.address || null,
+                    signatureWhite,
+                    signatureBlack,
+                    deadline
+                });
+            } catch (error) {
+                console.error(`❌ Failed to record signatures in ledger: ${error.message}`);
+                if (error.name === 'LedgerConflictError') {
+                    signatureWhite = null;
+                    signatureBlack = null;
+                }
             }
         }
-    } catch (error) {
-        console.error("❌ Signature generation error:", error);
     }
 
     room.signatureWhite = signatureWhite;
     room.signatureBlack = signatureBlack;
+    persistRoom(roomId);
 
     io.to(roomId).emit('gameEnded', {
         winner,
         reason,
         pgn: room.chess.pgn(),
         gameId: room.meta?.gameId,
+        battleId: room.meta?.battleId || null,
         winnerAddress: winnerAddress || null,
         whiteAddress: whitePlayer?.address || null,
         blackAddress: blackPlayer?.address || null,
         deadline: deadline, // FIX: now defined
-        scores: {
-            white: whiteScore,
-            black: blackScore
-        },
         signatureWhite: signatureWhite,
-        signatureBlack: signatureBlack
+        signatureBlack: signatureBlack,
+        ratings
     });
 
     // Cleanup after 30s to allow pending reconnections to still see room state
-    setTimeout(() => cleanupRoom(roomId), 30000);
+    room.cleanupTimer = setTimeout(() => cleanupRoom(roomId), 30000);
 }
 
-function startRoomTimer(roomId) {
+// The clock only needs to wake up when the side to move would flag; every move
+// reschedules it
+function scheduleFlag(roomId) {
     const room = rooms.get(roomId);
-    if (!room || room.timers.interval) return;
-
-    room.timers.interval = setInterval(() => {
-        if (room.gameOver) {
-            clearInterval(room.timers.interval);
+    if (!room) return;
+    clearTimeout(room.flagTimer);
+    room.flagTimer = null;
+    if (room.gameOver || !room.clock.running) return;
+
+    room.flagTimer = setTimeout(() => {
+        room.flagTimer = null;
+        if (room.gameOver) return;
+        const flagged = room.clock.flagged();
+        if (!flagged) {
+            scheduleFlag(roomId); // woke up early
             return;
         }
+        const result = timeoutResult(room.chess, flagged);
+        handleGameEnd(roomId, result.winner, result.reason);
+    }, room.clock.msUntilFlag() + 1);
+}
 
-        if (room.chess.history().length > 0) {
-            if (room.chess.turn() === 'w') {
-                room.timers.white--;
-            } else {
-                room.timers.black--;
-            }
-        }
+// Each side gets FIRST_MOVE_TIMEOUT_MS for its first move (the side to move from
+// the start, the other side from that first move). Missing it aborts the game.
+function scheduleAbort(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    clearTimeout(room.abortTimer);
+    room.abortTimer = null;
+    if (room.gameOver || !isUnplayed(room)) return;
+
+    room.abortTimer = setTimeout(() => {
+        room.abortTimer = null;
+        const side = room.chess.turn() === 'w' ? 'White' : 'Black';
+        console.log(`⌛ ${side} made no first move in ${roomId}, aborting`);
+        handleGameEnd(roomId, 'draw', 'aborted');
+    }, FIRST_MOVE_TIMEOUT_MS);
+}
 
-        io.to(roomId).emit('timerUpdate', {
-            white: room.timers.white,
-            black: room.timers.black
-        });
+// Results that don't come from the board, which an unplayed game aborts instead of
+const ABORTABLE_REASONS = new Set(['resignation', 'disconnect', 'timeout', 'timeout vs insufficient material']);
 
-        if (room.timers.white <= 0) {
-            handleGameEnd(roomId, 'black', 'timeout');
-            return;
-        } else if (room.timers.black <= 0) {
-            handleGameEnd(roomId, 'white', 'timeout');
-            return;
-        }
-    }, 1000);
+// Until both sides have moved in the room, only the board can decide the game
+function isUnplayed(room) {
+    return pliesPlayed(room.chess, room.meta.startFen) < 2;
+}
+
+// Restart a stopped clock (restored game whose players are all back) and tell
+// the room, since no move will carry the new state
+function resumeClock(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || room.gameOver) return;
+    room.clock.start();
+    scheduleFlag(roomId);
+    io.to(roomId).emit('timerUpdate', { clock: room.clock.view() });
+    publishToSpectators(roomId);
+}
+
+// Snapshots written before the clock rework kept whole seconds in `timers`
+function restoreClock(snap, chess) {
+    if (snap.clock) return GameClock.restore(snap.clock);
+    return new GameClock(snap.meta?.timeLimit || DEFAULT_TIME_CONTROL, {
+        white: snap.timers.white * 1000,
+        black: snap.timers.black * 1000,
+        turn: chess.turn(),
+        moveTimes: chess.history().map(() => null) // not recorded
+    });
 }
 
 function cleanupRoom(roomId) {
     const room = rooms.get(roomId);
     if (!room) return;
 
-    if (room.timers.interval) {
-        clearInterval(room.timers.interval);
+    clearTimeout(room.flagTimer);
+    clearTimeout(room.abortTimer);
+    clearTimeout(room.cleanupTimer);
+    if (room.restoreTimer) {
+        clearTimeout(room.restoreTimer);
     }
+    clearTimeout(room.expiryTimer);
+
+    io.to(spectatorChannel(roomId)).emit('spectateClosed', { roomId });
+    io.in(spectatorChannel(roomId)).socketsLeave(spectatorChannel(roomId));
+    room.spectators.forEach(id => {
+        const spectator = io.sockets.sockets.get(id);
+        if (spectator) spectator.data.spectating = null;
+    });
+
+    if (room.rematchOffer) io.to(roomId).emit('rematchDeclined', { reason: 'The room closed' });
 
     room.players.forEach(player => {
         if (player.address) {
             const session = playerSessions.get(player.address);
+            // A rematch may already have moved the player to another room
+            if (session && session.roomId !== roomId) return;
             if (session?.reconnectTimer) {
                 clearTimeout(session.reconnectTimer);
             }
@@ -1045,32 +2405,141 @@ function cleanupRoom(roomId) {
     });
 
     rooms.delete(roomId);
+    if (store) store.delete('rooms', roomId);
     console.log(`🗑️ Room ${roomId} cleaned up`);
 }
 
 // Initialize provider and start server
 async function startServer() {
     try {
-        await initializeProvider();
+        if (siweDomains.length === 0) {
+            throw new Error('❌ SIWE_DOMAINS is empty - set the domain(s) players sign in from');
+        }
+
+        store = await createStore(STORE_BACKEND, STORE_PATH);
+        console.log(`💾 Using ${store.kind} store${store.kind === 'memory' ? '' : ` at ${STORE_PATH}`}`);
+        ratingBook = new RatingBook({ store });
+        restoreRooms();
+
+        const unset = Object.entries(NETWORK.contracts).filter(([, address]) => !address).map(([name]) => name);
+        if (unset.length) {
+            throw new Error(`❌ ${NETWORK.name} has no ${unset.join(' / ')} address - set TOKEN_ADDRESS / MODULE_ADDRESS`);
+        }
+
+        const signerKeys = await loadSignerKeys();
+
+        if (CHAIN_BACKEND === 'mock') initializeMockChain(signerKeys.current.address);
+        else await initializeProvider();
+
+        // The profile must describe the chain we're actually on
+        const deployment = await verifyDeployment(provider, NETWORK);
+        if (!deployment.chainOk) {
+            throw new Error(`❌ RPC is on chain ${deployment.chainId} but ${NETWORK.name} is chain ${NETWORK.chainId}`);
+        }
+        const empty = deployment.contracts.filter(contract => !contract.hasCode);
+        if (empty.length) {
+            throw new Error(`❌ No contract code on ${NETWORK.name} at ${empty.map(c => `${c.name} ${c.address}`).join(', ')}`);
+        }
+        console.log(`✅ ${NETWORK.name} (chain ${CHAIN_ID}): ${deployment.contracts.map(c => `${c.name} ${c.address}`).join(', ')}`);
 
         moduleContract = new ethers.Contract(moduleAddress, moduleAbi, provider);
 
-        if (process.env.SIGNER_PRIVATE_KEY) {
-            const tempSigner = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY);
-            try {
-                const onChainSigner = await moduleContract.trustedSigner();
-                if (tempSigner.address.toLowerCase() === onChainSigner.toLowerCase()) {
-                    console.log(`✅ Trusted Signer matches: ${tempSigner.address}`);
-                } else {
-                    console.error(`❌ CRITICAL: SIGNER_PRIVATE_KEY address (${tempSigner.address}) DOES NOT MATCH on-chain trustedSigner (${onChainSigner})! Signatures will revert.`);
-                }
-            } catch (err) {
-                console.warn(`⚠️ Could not verify trustedSigner on-chain: ${err.message}`);
+        if (signerKeys.current) {
+            // Signs with whichever of our keys the contract trusts, re-checked on a schedule
+            signerRotation = new SignerRotation({
+                current: signerKeys.current,
+                next: signerKeys.next,
+                contract: new ethers.Contract(moduleAddress, TRUSTED_SIGNER_ABI, provider),
+                checkIntervalMs: SIGNER_ROTATION_CHECK_MS
+            });
+            await signerRotation.start();
+            const signerAddress = signerRotation.active.address;
+            const onChainSigner = deployment.onChainSigner;
+            if (!onChainSigner) {
+                console.warn(`⚠️ Could not verify trustedSigner on-chain: ${deployment.signerError}`);
+            } else if (signerAddress.toLowerCase() === onChainSigner.toLowerCase()) {
+                console.log(`✅ Trusted Signer matches: ${signerAddress}`);
+            } else {
+                // Every staked game would end with a signature the contract rejects
+                throw new Error(`❌ Result signer address (${signerAddress}) does not match on-chain trustedSigner (${onChainSigner}); refusing to sign unclaimable results`);
+            }
+
+            // Sign sample claims and recover them the way the contract will
+            resultSigner = createResultSigner({
+                version: CONTRACT_VERSION,
+                wallet: signerRotation.signer,
+                chainId: CHAIN_ID,
+                contractAddress: moduleAddress
+            });
+            const selfTest = await selfTestSigner(resultSigner, onChainSigner);
+            selfTest.results.filter(r => r.supported).forEach(r => {
+                if (!r.ok) console.error(`❌ ${r.prefix} signature recovers to ${r.recovered}, contract expects ${selfTest.expected}`);
+            });
+            if (selfTest.ok) {
+                console.log(`✅ Signer self-test passed (${CONTRACT_VERSION} / ${resultSigner.scheme}, chain ${CHAIN_ID})`);
+            } else {
+                throw new Error(`❌ Signer self-test failed for contract version ${CONTRACT_VERSION} (${resultSigner.scheme}); refusing to sign unclaimable results`);
             }
         } else {
-            console.warn(`⚠️ SIGNER_PRIVATE_KEY is missing from .env! You will not be able to claim games.`);
+            console.warn(`⚠️ No result signer configured (SIGNER_KEYSTORE, SIGNER_URL or SIGNER_PRIVATE_KEY)! You will not be able to claim games.`);
+        }
+
+        // Battle challenges expire on-chain; the indexer mirrors the contract's window
+        let battleExpirationSec;
+        try {
+            battleExpirationSec = Number(await new ethers.Contract(moduleAddress, BATTLE_ABI, provider).battleExpiration());
+        } catch (err) {
+            console.warn(`⚠️ Could not read battleExpiration on-chain, assuming 24h: ${err.message}`);
+        }
+
+        chainIndexer = new ChainIndexer({
+            contract: moduleContract,
+            store,
+            startBlock: INDEXER_START_BLOCK ?? LOCAL_DEPLOYMENT?.startBlock ?? null,
+            battleExpirationSec,
+            confirmations: mockChain ? 0 : 1 // mock blocks are only mined for transactions
+        });
+        await chainIndexer.start();
+
+        if (resultSigner) {
+            if (QUICK_MATCH_SUBMIT && !(signerKeys.current.signer instanceof ethers.Wallet)) {
+                console.warn(`⚠️ QUICK_MATCH_SUBMIT needs a local signer key (${signerKeys.current.source} can't send transactions); handing matches to players`);
+            }
+            quickMatchMaker = new QuickMatchMaker({
+                indexer: chainIndexer,
+                resultSigner,
+                submitter: QUICK_MATCH_SUBMIT && signerKeys.current.signer instanceof ethers.Wallet
+                    ? new ethers.Contract(moduleAddress, moduleAbi, signerKeys.current.signer.connect(provider))
+                    : null,
+                contract: new ethers.Contract(moduleAddress, QUEUE_EXPIRATION_ABI, provider),
+                expirationCheckMs: SIGNER_ROTATION_CHECK_MS
+            });
+            quickMatchMaker.on('status', (address, status) => {
+                socketsForAddress(address).forEach(s => s.emit('quickMatchStatus', status));
+            });
+            quickMatchMaker.on('handoff', (address, call) => {
+                socketsForAddress(address).forEach(s => s.emit('quickMatchExecute', call));
+            });
+            quickMatchMaker.on('matched', openQuickMatchRoom);
+            await quickMatchMaker.start();
+            console.log(`⚡ Quick match enabled (${quickMatchMaker.mode} mode)`);
         }
 
+        practiceSessions = new PracticeSessions({
+            store,
+            resultSigner,
+            rewardContract: new ethers.Contract(moduleAddress, SESSION_REWARD_ABI, provider),
+            rewards: Object.fromEntries(Object.entries(SESSION_REWARDS)
+                .map(([difficulty, amount]) => [difficulty, ethers.utils.parseUnits(amount, 18).toString()]))
+        });
+        practiceSessions.start();
+
+        // Restored rooms still waiting on a stake pick up where they left off
+        rooms.forEach((room, roomId) => {
+            if (room.started || room.gameOver) return;
+            room.players.forEach(player => confirmPlayerStake(roomId, player));
+        });
+
         server.listen(PORT, '0.0.0.0', () => {
             console.log(`
 ╔═══════════════════════════════════════════════════╗
@@ -1082,7 +2551,7 @@ async function startServer() {
 ║      ✓ Multi-RPC fallback                        ║
 ║      ✓ CORS restricted to allowed origins        ║
 ║      ✓ Trusted signature backend                 ║
-║      ✓ Signature required for reconnect          ║
+║      ✓ SIWE sign-in + seat token reconnect       ║
 ║      Running on port ${PORT}                          ║
 ║      http://localhost:${PORT}                         ║
 ║      http://127.0.0.1:${PORT}                         ║
@@ -1095,4 +2564,11 @@ async function startServer() {
     }
 }
 
+// The JSON store batches its writes; save what is pending before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    console.log(`🛑 ${signal} received, saving state and exiting`);
+    store?.close();
+    process.exit(0);
+}));
+
 startServer();